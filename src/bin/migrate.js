@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// src/bin/migrate.js
+'use strict';
+
+/**
+ * Schema migrations from a shell, using the same DB settings as the handlers (lib/config.js):
+ *   npm run migrate -- status
+ *   npm run migrate -- up [--to 0003]
+ *   npm run migrate -- down [--steps 2 | --to 0001]
+ */
+
+const { getPool, withDb } = require('../lib/db');
+const { status, migrateUp, migrateDown } = require('../lib/migrations');
+
+const USAGE = 'Usage: migrate <status|up|down> [--to <version>] [--steps <n>]';
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const opts = {};
+  for (let i = 0; i < rest.length; i += 2) {
+    const flag = rest[i];
+    const value = rest[i + 1];
+    if (flag === '--to' && value) opts.to = value;
+    else if (flag === '--steps' && Number.isInteger(Number(value)) && Number(value) > 0) opts.steps = Number(value);
+    else return { error: `Unknown or incomplete option "${flag}".` };
+  }
+  if (!['status', 'up', 'down'].includes(command)) return { error: command ? `Unknown command "${command}".` : 'Missing command.' };
+  if (command !== 'down' && opts.steps) return { error: '"--steps" only applies to down.' };
+  return { command, opts };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.error) {
+    console.error(`${args.error}\n${USAGE}`);
+    return 2;
+  }
+
+  const { command, opts } = args;
+  await withDb(async (conn) => {
+    if (command === 'status') {
+      for (const row of await status(conn)) {
+        console.log(`${row.version}  ${row.state.padEnd(8)}  ${row.name}${row.appliedAt ? `  (${new Date(row.appliedAt).toISOString()})` : ''}`);
+      }
+    } else if (command === 'up') {
+      const applied = await migrateUp(conn, opts);
+      console.log(applied.length ? `Applied: ${applied.join(', ')}` : 'Schema is up to date.');
+    } else {
+      const rolledBack = await migrateDown(conn, opts);
+      console.log(rolledBack.length ? `Rolled back: ${rolledBack.join(', ')}` : 'Nothing to roll back.');
+    }
+  });
+  return 0;
+}
+
+main()
+  .then((code) => { process.exitCode = code; })
+  .catch((err) => {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  })
+  // The pool would keep the process alive
+  .finally(() => getPool().then((pool) => pool.end()).catch(() => {}));
@@ -0,0 +1,48 @@
+// src/handlers/__tests__/fixtures/catalog.js
+'use strict';
+
+const { setRepositories } = require('../../../lib/repositories');
+const { createMemoryRepositories } = require('../../../lib/repositories/memory');
+
+const CDN = 'https://cdn.example.com/images';
+
+// Small catalog covering several brands, price buckets, sizes and an out-of-stock shoe
+function catalogSeed() {
+  return {
+    shoes: [
+      {
+        id: 1, name: 'Air Zoom Pegasus', brand: 'Nike', price: 129.99, image: `${CDN}/pegasus.jpg`,
+        inventory: [{ size: 9, quantity: 4 }, { size: 10, quantity: 2 }],
+        images: [`${CDN}/pegasus.jpg`, `${CDN}/pegasus-side.jpg`],
+      },
+      {
+        id: 2, name: 'Ultraboost Light', brand: 'Adidas', price: 189.5, image: `${CDN}/ultraboost.jpg`,
+        inventory: [{ size: 10, quantity: 1 }],
+        images: [`${CDN}/ultraboost.jpg`],
+      },
+      {
+        id: 3, name: 'Air Max 90', brand: 'Nike', price: 99, image: `${CDN}/airmax.jpg`,
+        inventory: [{ size: 8, quantity: 0 }],
+        images: [`${CDN}/airmax.jpg`],
+      },
+      {
+        id: 4, name: 'Gel-Kayano', brand: 'Asics', price: 45, image: '',
+        inventory: [{ size: 9, quantity: 7 }],
+        images: [],
+      },
+    ],
+  };
+}
+
+// Fresh memory backend per test; returns it so tests can dump() the tables
+function useCatalog(seed = catalogSeed()) {
+  const repos = createMemoryRepositories(seed);
+  setRepositories(repos);
+  return repos;
+}
+
+function resetRepositories() {
+  setRepositories(null);
+}
+
+module.exports = { CDN, catalogSeed, useCatalog, resetRepositories };
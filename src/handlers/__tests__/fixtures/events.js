@@ -0,0 +1,122 @@
+// src/handlers/__tests__/fixtures/events.js
+'use strict';
+
+/**
+ * API Gateway event builders for handler tests.
+ *   restEvent()  REST API (payload v1): httpMethod/path, User Pool authorizer -> requestContext.authorizer.claims
+ *   httpEvent()  HTTP API (payload v2): requestContext.http/rawPath, JWT authorizer -> requestContext.authorizer.jwt.claims
+ * Both take { method, path, pathParameters, query, headers, body, claims }. `query` values may be
+ * arrays for repeated params; `body` objects are JSON-encoded the way API Gateway delivers them.
+ */
+
+const ADMIN_CLAIMS = { sub: 'admin-sub', email: 'admin@example.com', 'cognito:groups': ['admin'] };
+const CUSTOMER_CLAIMS = { sub: 'customer-sub', email: 'customer@example.com' };
+
+function encodeBody(body) {
+  if (body === undefined || body === null) return null;
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+function restEvent({ method = 'GET', path = '/', pathParameters = null, query = null, headers = {}, body, claims } = {}) {
+  let queryStringParameters = null;
+  let multiValueQueryStringParameters = null;
+  if (query) {
+    queryStringParameters = {};
+    multiValueQueryStringParameters = {};
+    for (const [name, value] of Object.entries(query)) {
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      queryStringParameters[name] = values[values.length - 1];
+      multiValueQueryStringParameters[name] = values;
+    }
+  }
+
+  return {
+    resource: path,
+    path,
+    httpMethod: method,
+    headers,
+    queryStringParameters,
+    multiValueQueryStringParameters,
+    pathParameters,
+    body: encodeBody(body),
+    isBase64Encoded: false,
+    requestContext: {
+      httpMethod: method,
+      path: `/Prod${path}`,
+      stage: 'Prod',
+      // The User Pool authorizer passes claims through as strings, groups comma-joined
+      authorizer: claims ? { claims: toRestClaims(claims) } : undefined,
+    },
+  };
+}
+
+function httpEvent({ method = 'GET', path = '/', pathParameters, query, headers = {}, body, claims } = {}) {
+  let queryStringParameters;
+  let rawQueryString = '';
+  if (query) {
+    // HTTP API joins repeated params with commas
+    queryStringParameters = {};
+    const pairs = [];
+    for (const [name, value] of Object.entries(query)) {
+      const values = (Array.isArray(value) ? value : [value]).map(String);
+      queryStringParameters[name] = values.join(',');
+      for (const v of values) pairs.push(`${encodeURIComponent(name)}=${encodeURIComponent(v)}`);
+    }
+    rawQueryString = pairs.join('&');
+  }
+
+  return {
+    version: '2.0',
+    routeKey: `${method} ${path}`,
+    rawPath: path,
+    rawQueryString,
+    headers,
+    queryStringParameters,
+    pathParameters,
+    body: encodeBody(body),
+    isBase64Encoded: false,
+    requestContext: {
+      http: { method, path },
+      stage: '$default',
+      // The JWT authorizer flattens array claims to "[a b]"
+      authorizer: claims ? { jwt: { claims: toJwtClaims(claims), scopes: null } } : undefined,
+    },
+  };
+}
+
+function toRestClaims(claims) {
+  const out = {};
+  for (const [k, v] of Object.entries(claims)) out[k] = Array.isArray(v) ? v.join(',') : String(v);
+  return out;
+}
+
+function toJwtClaims(claims) {
+  const out = {};
+  for (const [k, v] of Object.entries(claims)) out[k] = Array.isArray(v) ? `[${v.join(' ')}]` : String(v);
+  return out;
+}
+
+// Run the same test against both payload formats
+const EVENT_FORMATS = [
+  ['REST API (v1)', restEvent],
+  ['HTTP API (v2)', httpEvent],
+];
+
+function parseBody(response) {
+  return response.body ? JSON.parse(response.body) : null;
+}
+
+// Handlers log every query; keep test output readable
+function quietConsole() {
+  for (const level of ['log', 'warn', 'error']) jest.spyOn(console, level).mockImplementation(() => {});
+}
+
+module.exports = {
+  ADMIN_CLAIMS,
+  CUSTOMER_CLAIMS,
+  EVENT_FORMATS,
+  restEvent,
+  httpEvent,
+  parseBody,
+  quietConsole,
+};
@@ -0,0 +1,87 @@
+// src/handlers/__tests__/fixtures/s3.js
+'use strict';
+
+/**
+ * In-memory stand-in for the images bucket. useBucket() mocks every S3Client (handlers create theirs
+ * at module load) and answers List/Head/Get/Put/Delete from a Map of key -> object, so tests can
+ * assert on what is left in the bucket. `pageSize` makes ListObjectsV2 truncate like a large bucket.
+ */
+
+const { mockClient } = require('aws-sdk-client-mock');
+const {
+  S3Client,
+  ListObjectsV2Command,
+  HeadObjectCommand,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+} = require('@aws-sdk/client-s3');
+
+const DEFAULT_LAST_MODIFIED = '2026-01-01T00:00:00.000Z';
+
+function notFound() {
+  return Object.assign(new Error('NotFound'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+}
+
+// objects: [{ Key, Size?, LastModified?, Body? }]
+function useBucket(objects = [], { pageSize = 1000 } = {}) {
+  const store = new Map();
+  for (const obj of objects) {
+    store.set(obj.Key, { Size: 1024, ...obj, LastModified: new Date(obj.LastModified || DEFAULT_LAST_MODIFIED) });
+  }
+
+  const s3 = mockClient(S3Client);
+
+  s3.on(ListObjectsV2Command).callsFake((input) => {
+    const keys = [...store.keys()].filter((k) => k.startsWith(input.Prefix || '')).sort();
+    // Real tokens are opaque; here the token is the last key of the previous page
+    const after = input.ContinuationToken
+      ? Buffer.from(input.ContinuationToken, 'base64url').toString('utf8')
+      : input.StartAfter;
+    const rest = after ? keys.filter((k) => k > after) : keys;
+    const page = rest.slice(0, Math.min(pageSize, input.MaxKeys || 1000));
+    const truncated = rest.length > page.length;
+    return {
+      Contents: page.map((Key) => ({ Key, Size: store.get(Key).Size, LastModified: store.get(Key).LastModified })),
+      KeyCount: page.length,
+      IsTruncated: truncated,
+      NextContinuationToken: truncated ? Buffer.from(page[page.length - 1]).toString('base64url') : undefined,
+    };
+  });
+
+  s3.on(HeadObjectCommand).callsFake((input) => {
+    const obj = store.get(input.Key);
+    if (!obj) throw notFound();
+    return { ContentLength: obj.Size, LastModified: obj.LastModified };
+  });
+
+  s3.on(GetObjectCommand).callsFake((input) => {
+    const obj = store.get(input.Key);
+    if (!obj) throw Object.assign(notFound(), { name: 'NoSuchKey' });
+    return { Body: { transformToByteArray: async () => new Uint8Array(obj.Body) } };
+  });
+
+  s3.on(PutObjectCommand).callsFake((input) => {
+    store.set(input.Key, { Size: input.Body.length, LastModified: new Date(), Body: input.Body, ContentType: input.ContentType });
+    return {};
+  });
+
+  s3.on(DeleteObjectCommand).callsFake((input) => {
+    store.delete(input.Key);
+    return {};
+  });
+
+  s3.on(DeleteObjectsCommand).callsFake((input) => {
+    const Deleted = [];
+    for (const { Key } of input.Delete.Objects) {
+      store.delete(Key);
+      Deleted.push({ Key });
+    }
+    return { Deleted };
+  });
+
+  return { s3, store };
+}
+
+module.exports = { DEFAULT_LAST_MODIFIED, useBucket };
@@ -0,0 +1,117 @@
+// src/handlers/__tests__/unit/brands.test.js
+'use strict';
+
+const { handler } = require('../../brands');
+const { ADMIN_CLAIMS, CUSTOMER_CLAIMS, EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { useCatalog, resetRepositories } = require('../fixtures/catalog');
+
+describe.each(EVENT_FORMATS)('brands handler, %s', (_format, makeEvent) => {
+  let repos;
+
+  beforeEach(() => {
+    quietConsole();
+    repos = useCatalog();
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    jest.restoreAllMocks();
+  });
+
+  const brandsOf = () => repos.dump().shoes.map((s) => [s.id, s.brand, s.version]);
+
+  const rename = (brand, body, claims = ADMIN_CLAIMS) => handler(makeEvent({
+    method: 'PUT', path: `/brands/${encodeURIComponent(brand)}`, pathParameters: { brand: encodeURIComponent(brand) }, body, claims,
+  }));
+  const merge = (body, claims = ADMIN_CLAIMS) => handler(makeEvent({ method: 'POST', path: '/brands/merge', body, claims }));
+
+  describe('GET /brands', () => {
+    it('lists every brand with counts and price range, cacheable and public', async () => {
+      const res = await handler(makeEvent({ method: 'GET', path: '/brands' }));
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers.ETag).toMatch(/^".+"$/);
+      const { brands } = parseBody(res);
+      expect(brands.map((b) => b.brand)).toEqual(['Adidas', 'Asics', 'Nike']);
+      expect(brands.find((b) => b.brand === 'Nike')).toMatchObject({ productCount: 2, inStockCount: 1 });
+    });
+  });
+
+  describe('PUT /brands/{brand}', () => {
+    it('renames the brand on every shoe and bumps their versions', async () => {
+      const res = await rename('Nike', { name: 'NIKE Inc' });
+
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res)).toEqual({ brand: 'NIKE Inc', renamedFrom: 'Nike', updated: 2 });
+      expect(brandsOf()).toEqual([[1, 'NIKE Inc', 2], [2, 'Adidas', 1], [3, 'NIKE Inc', 2], [4, 'Asics', 1]]);
+    });
+
+    it('refuses to rename onto another existing brand', async () => {
+      const res = await rename('Nike', { name: 'Adidas' });
+
+      expect(res.statusCode).toBe(409);
+      expect(parseBody(res).code).toBe('CONFLICT');
+      expect(brandsOf()[0]).toEqual([1, 'Nike', 1]);
+    });
+
+    it('checks for a conflict inside the rename transaction', async () => {
+      // A brand another rename created while this one waited is only visible to the transaction's repositories
+      jest.spyOn(repos, 'transaction').mockImplementation((fn) => fn({
+        ...repos,
+        shoes: { ...repos.shoes, brandExists: async (brand) => brand === 'Brooks' },
+      }));
+
+      const res = await rename('Nike', { name: 'Brooks' });
+
+      expect(res.statusCode).toBe(409);
+      expect(repos.transaction).toHaveBeenCalledTimes(1);
+      expect(brandsOf()[0]).toEqual([1, 'Nike', 1]);
+    });
+
+    it('returns 404 for an unknown brand and 400 for a bad name', async () => {
+      expect((await rename('Puma', { name: 'PUMA' })).statusCode).toBe(404);
+
+      const res = await rename('Nike', { name: '   ' });
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res).errors).toEqual([{ field: 'name', message: 'must not be blank' }]);
+    });
+
+    it('trims names and leaves length checks to the schema', async () => {
+      const res = await rename('Nike', { name: '  NIKE  ' });
+      expect(parseBody(res)).toEqual({ brand: 'NIKE', renamedFrom: 'Nike', updated: 2 });
+
+      const tooLong = await rename('NIKE', { name: 'x'.repeat(101) });
+      expect(parseBody(tooLong).errors).toEqual([{ field: 'name', message: 'must NOT have more than 100 characters' }]);
+    });
+
+    it('rejects callers without the admin group', async () => {
+      expect((await rename('Nike', { name: 'NIKE' }, CUSTOMER_CLAIMS)).statusCode).toBe(403);
+      expect(brandsOf()[0]).toEqual([1, 'Nike', 1]);
+    });
+  });
+
+  describe('POST /brands/merge', () => {
+    it('moves every listed brand onto the target', async () => {
+      const res = await merge({ from: ['Adidas', 'Asics'], into: 'Nike' });
+
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res)).toEqual({ brand: 'Nike', mergedFrom: ['Adidas', 'Asics'], updated: 2 });
+      expect(brandsOf()).toEqual([[1, 'Nike', 1], [2, 'Nike', 2], [3, 'Nike', 1], [4, 'Nike', 2]]);
+    });
+
+    it('skips sources that only differ from the target in case, leaving its shoes and versions alone', async () => {
+      const res = await merge({ from: ['nike', 'ADIDAS', 'adidas'], into: 'Nike' });
+
+      expect(parseBody(res)).toEqual({ brand: 'Nike', mergedFrom: ['ADIDAS'], updated: 1 });
+      expect(brandsOf()).toEqual([[1, 'Nike', 1], [2, 'Nike', 2], [3, 'Nike', 1], [4, 'Asics', 1]]);
+    });
+
+    it('returns 404 when none of the sources exist and 400 when only the target is named', async () => {
+      expect((await merge({ from: ['Puma'], into: 'Nike' })).statusCode).toBe(404);
+
+      const res = await merge({ from: ['NIKE'], into: 'Nike' });
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res).errors).toEqual([{ field: 'from', message: 'must name at least one brand other than "into"' }]);
+    });
+  });
+});
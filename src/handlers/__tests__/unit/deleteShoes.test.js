@@ -0,0 +1,106 @@
+// src/handlers/__tests__/unit/deleteShoes.test.js
+'use strict';
+
+const { handler } = require('../../deleteShoes');
+const { ADMIN_CLAIMS, CUSTOMER_CLAIMS, EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { useCatalog, resetRepositories } = require('../fixtures/catalog');
+
+describe.each(EVENT_FORMATS)('deleteShoes handler, %s', (_format, makeEvent) => {
+  let repos;
+
+  beforeEach(() => {
+    quietConsole();
+    repos = useCatalog();
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    jest.restoreAllMocks();
+  });
+
+  // Seeded shoes are all at version 1
+  const deleteShoe = (id, claims = ADMIN_CLAIMS, headers = { 'If-Match': '"v1"' }) => makeEvent({
+    method: 'DELETE',
+    path: `/shoes/${id}`,
+    pathParameters: { id: String(id) },
+    claims,
+    headers,
+  });
+
+  it('answers CORS preflight without auth', async () => {
+    const res = await handler(makeEvent({ method: 'OPTIONS', path: '/shoes/1' }));
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Access-Control-Allow-Methods']).toContain('DELETE');
+  });
+
+  it('rejects callers without the admin group', async () => {
+    expect((await handler(deleteShoe(1, CUSTOMER_CLAIMS))).statusCode).toBe(403);
+    expect((await handler(deleteShoe(1, null))).statusCode).toBe(403);
+    expect(repos.dump().shoes).toHaveLength(4);
+  });
+
+  it('DELETE /shoes/{id} removes the shoe with its inventory and gallery', async () => {
+    const res = await handler(deleteShoe(1));
+
+    expect(res.statusCode).toBe(200);
+    expect(parseBody(res)).toEqual({ message: 'Shoe deleted successfully.' });
+    const tables = repos.dump();
+    expect(tables.shoes.map((s) => s.id)).toEqual([2, 3, 4]);
+    expect(tables.inventory.some((r) => r.shoe_id === 1)).toBe(false);
+    expect(tables.images.some((r) => r.shoe_id === 1)).toBe(false);
+  });
+
+  it('DELETE /shoes/{id} takes the id from the path when pathParameters is missing', async () => {
+    const res = await handler(makeEvent({ method: 'DELETE', path: '/shoes/2', claims: ADMIN_CLAIMS, headers: { 'If-Match': '"v1"' } }));
+    expect(res.statusCode).toBe(200);
+    expect(repos.dump().shoes.map((s) => s.id)).toEqual([1, 3, 4]);
+  });
+
+  it('DELETE /shoes/{id} returns 404 for an unknown shoe', async () => {
+    const res = await handler(deleteShoe(999));
+    expect(res.statusCode).toBe(404);
+    expect(parseBody(res)).toEqual({ message: 'Shoe not found.', code: 'NOT_FOUND' });
+  });
+
+  it('DELETE /shoes/{id} requires If-Match', async () => {
+    const res = await handler(deleteShoe(1, ADMIN_CLAIMS, {}));
+
+    expect(res.statusCode).toBe(428);
+    expect(parseBody(res).code).toBe('PRECONDITION_REQUIRED');
+    expect(repos.dump().shoes).toHaveLength(4);
+  });
+
+  it('DELETE /shoes/{id} refuses a stale ETag and returns the current shoe', async () => {
+    await repos.shoes.update(1, { price: 119.99 });
+
+    const res = await handler(deleteShoe(1));
+
+    expect(res.statusCode).toBe(412);
+    expect(res.headers.ETag).toBe('"v2"');
+    const body = parseBody(res);
+    expect(body).toMatchObject({ code: 'PRECONDITION_FAILED', current: { id: 1, price: '119.99', version: 2 } });
+    expect(body.current.inventory).toHaveLength(2);
+    expect(repos.dump().shoes).toHaveLength(4);
+  });
+
+  it('DELETE /shoes/{id} accepts If-Match: *', async () => {
+    const res = await handler(deleteShoe(3, ADMIN_CLAIMS, { 'If-Match': '*' }));
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('returns 404 for other routes', async () => {
+    const res = await handler(makeEvent({ method: 'POST', path: '/shoes', claims: ADMIN_CLAIMS }));
+    expect(res.statusCode).toBe(404);
+    expect(parseBody(res)).toEqual({ message: 'Route not found.', code: 'NOT_FOUND' });
+  });
+
+  it('logs database failures but returns only a generic 500', async () => {
+    jest.spyOn(repos.shoes, 'remove').mockRejectedValue(new Error("ER_LOCK_WAIT_TIMEOUT: DELETE FROM shoes WHERE id = '1'"));
+
+    const res = await handler(deleteShoe(1));
+
+    expect(res.statusCode).toBe(500);
+    expect(parseBody(res)).toEqual({ message: 'Internal server error.', code: 'INTERNAL' });
+    expect(console.error).toHaveBeenCalledWith('Internal server error.', expect.any(Error));
+  });
+});
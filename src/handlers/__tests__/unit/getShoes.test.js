@@ -0,0 +1,191 @@
+// src/handlers/__tests__/unit/getShoes.test.js
+'use strict';
+
+const { handler } = require('../../getShoes');
+const { EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { CDN, useCatalog, resetRepositories } = require('../fixtures/catalog');
+
+describe.each(EVENT_FORMATS)('getShoes handler, %s', (_format, makeEvent) => {
+  beforeEach(() => {
+    quietConsole();
+    useCatalog();
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    jest.restoreAllMocks();
+  });
+
+  const get = (path, query, headers) => handler(makeEvent({ method: 'GET', path, query, headers }));
+  const ids = (res) => parseBody(res).items.map((shoe) => shoe.id);
+
+  describe('GET /shoes', () => {
+    it('returns the full catalog with inventory, gallery and image variants', async () => {
+      const res = await get('/shoes');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers.ETag).toMatch(/^".+"$/);
+      const body = parseBody(res);
+      expect(body.nextCursor).toBeNull();
+      expect(body.items.map((shoe) => shoe.id)).toEqual([1, 2, 3, 4]);
+      expect(body.items[0]).toMatchObject({
+        name: 'Air Zoom Pegasus',
+        brand: 'Nike',
+        price: '129.99',
+        image: `${CDN}/pegasus.jpg`,
+        inventory: [{ size: 9, quantity: 4 }, { size: 10, quantity: 2 }],
+      });
+      expect(body.items[0]).toHaveProperty('imageVariants');
+      expect(body.items[0].images[0]).toMatchObject({ url: `${CDN}/pegasus.jpg`, isPrimary: true });
+    });
+
+    it('walks every page with the returned cursor', async () => {
+      const first = await get('/shoes', { sort: 'price_desc', limit: 3 });
+      expect(ids(first)).toEqual([2, 1, 3]);
+
+      const { nextCursor } = parseBody(first);
+      expect(nextCursor).toEqual(expect.any(String));
+
+      const second = await get('/shoes', { sort: 'price_desc', limit: 3, cursor: nextCursor });
+      expect(ids(second)).toEqual([4]);
+      expect(parseBody(second).nextCursor).toBeNull();
+    });
+
+    it.each([
+      ['name', [3, 1, 4, 2]],
+      ['brand', [2, 4, 1, 3]],
+      ['newest', [4, 3, 2, 1]],
+      ['stock', [4, 1, 2, 3]],
+    ])('sorts by %s', async (sort, expected) => {
+      expect(ids(await get('/shoes', { sort }))).toEqual(expected);
+    });
+
+    it.each([
+      [{ brand: ['nike', 'ASICS'] }, [1, 3, 4]],
+      [{ minPrice: 100 }, [1, 2]],
+      [{ maxPrice: 99 }, [3, 4]],
+      [{ size: 10 }, [1, 2]],
+      [{ inStock: 'true' }, [1, 2, 4]],
+    ])('filters by %j', async (query, expected) => {
+      expect(ids(await get('/shoes', query))).toEqual(expected);
+    });
+
+    it('projects fields and includes', async () => {
+      const body = parseBody(await get('/shoes', { fields: 'name', include: 'inventory', limit: 1 }));
+      expect(body.items).toEqual([{ id: 1, name: 'Air Zoom Pegasus', inventory: [{ size: 9, quantity: 4 }, { size: 10, quantity: 2 }] }]);
+    });
+
+    it('returns 304 when If-None-Match carries the current ETag', async () => {
+      const first = await get('/shoes');
+      const second = await get('/shoes', undefined, { 'If-None-Match': first.headers.ETag });
+      expect(second.statusCode).toBe(304);
+      expect(second.body).toBe('');
+    });
+
+    it.each([
+      [{ limit: 0 }, '"limit" must be an integer between 1 and 100.'],
+      [{ sort: 'random' }, '"sort" must be one of: price_asc, price_desc, name, brand, newest, stock.'],
+      [{ cursor: 'not-a-cursor' }, 'Invalid "cursor".'],
+      [{ minPrice: 200, maxPrice: 100 }, '"minPrice" cannot be greater than "maxPrice".'],
+      [{ inStock: 'yes' }, '"inStock" must be "true" or "false".'],
+      [{ fields: 'name,colour' }, 'Unknown field(s): colour. Allowed: id, name, brand, price, image, version.'],
+    ])('rejects %j', async (query, message) => {
+      const res = await get('/shoes', query);
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res)).toEqual({ message, code: 'VALIDATION_ERROR' });
+    });
+
+    it('rejects a cursor issued for another sort', async () => {
+      const { nextCursor } = parseBody(await get('/shoes', { sort: 'name', limit: 1 }));
+      const res = await get('/shoes', { sort: 'newest', cursor: nextCursor });
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res)).toEqual({ message: '"cursor" was issued for a different sort order.', code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('GET /shoes?ids=', () => {
+    it('returns the requested shoes in request order and lists the missing ids', async () => {
+      const res = await get('/shoes', { ids: '3,999,1', fields: 'name' });
+
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res)).toEqual({
+        items: [{ id: 3, name: 'Air Max 90' }, { id: 1, name: 'Air Zoom Pegasus' }],
+        notFound: [999],
+      });
+    });
+
+    it('rejects malformed ids', async () => {
+      const res = await get('/shoes', { ids: '1,abc' });
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res)).toEqual({ message: 'Invalid id "abc" in "ids".', code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('GET /shoes/search', () => {
+    it('matches every term as a word prefix of the name or brand', async () => {
+      expect(ids(await get('/shoes/search', { q: 'air' })).sort()).toEqual([1, 3]);
+      expect(ids(await get('/shoes/search', { q: 'nike zo' }))).toEqual([1]);
+    });
+
+    it('matches words shorter than the FULLTEXT minimum token size', async () => {
+      expect(ids(await get('/shoes/search', { q: 'air 90' }))).toEqual([3]);
+      expect(ids(await get('/shoes/search', { q: '90' }))).toEqual([3]);
+    });
+
+    it('pages with the returned cursor', async () => {
+      const first = parseBody(await get('/shoes/search', { q: 'air', limit: 1 }));
+      expect(first.items).toHaveLength(1);
+
+      const second = parseBody(await get('/shoes/search', { q: 'air', limit: 1, cursor: first.nextCursor }));
+      expect(second.items).toHaveLength(1);
+      expect(second.items[0].id).not.toBe(first.items[0].id);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('applies listing filters', async () => {
+      expect(ids(await get('/shoes/search', { q: 'air', inStock: 'true' }))).toEqual([1]);
+    });
+
+    it('ignores single-character words next to usable ones', async () => {
+      expect(ids(await get('/shoes/search', { q: 'air x' })).sort()).toEqual([1, 3]);
+    });
+
+    it.each(['a', 'a b - c', '  '])('rejects %j instead of listing everything', async (q) => {
+      const res = await get('/shoes/search', { q });
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res)).toEqual({ message: '"q" must contain at least one word of 2+ characters.', code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('GET /shoes/facets', () => {
+    it('counts brands, in-stock sizes and price buckets', async () => {
+      const res = await get('/shoes/facets');
+
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res)).toEqual({
+        total: 4,
+        brands: [{ value: 'Nike', count: 2 }, { value: 'Adidas', count: 1 }, { value: 'Asics', count: 1 }],
+        sizes: [{ value: 9, count: 2 }, { value: 10, count: 2 }],
+        prices: [
+          { min: 0, max: 50, count: 1 },
+          { min: 50, max: 100, count: 1 },
+          { min: 100, max: 150, count: 1 },
+          { min: 150, max: 200, count: 1 },
+          { min: 200, max: null, count: 0 },
+        ],
+      });
+    });
+
+    it('keeps other brand counts visible when filtering by brand', async () => {
+      const body = parseBody(await get('/shoes/facets', { brand: 'Nike', priceBuckets: '100' }));
+      expect(body.total).toBe(2);
+      expect(body.brands).toHaveLength(3);
+      expect(body.prices).toEqual([{ min: 0, max: 100, count: 1 }, { min: 100, max: null, count: 1 }]);
+    });
+
+    it('rejects bad price buckets', async () => {
+      const res = await get('/shoes/facets', { priceBuckets: '100,50' });
+      expect(res.statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// src/handlers/__tests__/unit/getshoe.test.js
+'use strict';
+
+const { handler } = require('../../getshoe');
+const { EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { IMAGE_PUBLIC_BASE } = require('../../../lib/images');
+const { CDN, catalogSeed, useCatalog, resetRepositories } = require('../fixtures/catalog');
+
+describe.each(EVENT_FORMATS)('getshoe handler, %s', (_format, makeEvent) => {
+  let repos;
+
+  beforeEach(() => {
+    quietConsole();
+    repos = useCatalog();
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    jest.restoreAllMocks();
+  });
+
+  const getShoe = (id, query, headers) => handler(makeEvent({
+    method: 'GET',
+    path: `/shoes/${id}`,
+    pathParameters: id == null ? undefined : { id: String(id) },
+    query,
+    headers,
+  }));
+
+  it('GET /shoes/{id} returns the shoe with inventory and gallery', async () => {
+    const res = await getShoe(1);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Cache-Control']).toBeDefined();
+    const shoe = parseBody(res);
+    expect(shoe).toMatchObject({
+      id: 1,
+      name: 'Air Zoom Pegasus',
+      price: '129.99',
+      inventory: [{ size: 9, quantity: 4 }, { size: 10, quantity: 2 }],
+    });
+    expect(shoe).toHaveProperty('imageVariants');
+    expect(shoe.images.map((img) => img.url)).toEqual([`${CDN}/pegasus.jpg`, `${CDN}/pegasus-side.jpg`]);
+  });
+
+  it('adds variants per original for bucket images the variant generator processes', async () => {
+    const bucket = (name) => `${IMAGE_PUBLIC_BASE}images/${name}`;
+    const seed = catalogSeed();
+    Object.assign(seed.shoes[1], {
+      image: bucket('ub.jpg'),
+      images: [bucket('ub.jpg'), bucket('ub.png'), bucket('ub-logo.svg')],
+    });
+    repos = useCatalog(seed);
+
+    const shoe = parseBody(await getShoe(2));
+
+    expect(shoe.imageVariants.sizes.thumbnail).toEqual({
+      width: 160,
+      webp: `${IMAGE_PUBLIC_BASE}variants/ub.jpg/thumbnail.webp`,
+      jpeg: `${IMAGE_PUBLIC_BASE}variants/ub.jpg/thumbnail.jpg`,
+    });
+    const [jpg, png, svg] = shoe.images;
+    expect(png.variants.sizes.card.webp).toBe(`${IMAGE_PUBLIC_BASE}variants/ub.png/card.webp`);
+    expect(png.variants.srcset.jpeg).not.toEqual(jpg.variants.srcset.jpeg);
+    expect(svg.variants).toBeNull();
+  });
+
+  it('honours fields and include', async () => {
+    const res = await getShoe(2, { fields: 'brand,price', include: 'images' });
+    const shoe = parseBody(res);
+    expect(Object.keys(shoe).sort()).toEqual(['brand', 'id', 'images', 'price', 'version']);
+  });
+
+  it('returns the version as the ETag and changes it with every edit', async () => {
+    const before = await getShoe(1);
+    expect(parseBody(before).version).toBe(1);
+    expect(before.headers.ETag).toBe('"v1"');
+
+    await repos.inventory.set(1, 11, 3);
+    await repos.shoes.update(1, {});
+
+    const after = await getShoe(1, undefined, { 'If-None-Match': before.headers.ETag });
+    expect(after.statusCode).toBe(200);
+    expect(after.headers.ETag).toBe('"v2"');
+  });
+
+  it('gives each projection its own ETag and keeps the bare version for the full record', async () => {
+    const full = await getShoe(1);
+    const narrow = await getShoe(1, { fields: 'name' });
+    const noGallery = await getShoe(1, { include: 'inventory' });
+
+    expect(narrow.headers.ETag).toMatch(/^"v1-[\w-]+"$/);
+    expect(new Set([full.headers.ETag, narrow.headers.ETag, noGallery.headers.ETag]).size).toBe(3);
+    expect((await getShoe(1, { fields: 'price,name' })).headers.ETag).not.toBe(narrow.headers.ETag);
+    expect((await getShoe(1, { fields: 'name,brand,price,image', include: 'inventory,images' })).headers.ETag).toBe('"v1"');
+
+    // a cached full record must not satisfy a narrower request, nor the other way round
+    expect((await getShoe(1, { fields: 'name' }, { 'If-None-Match': full.headers.ETag })).statusCode).toBe(200);
+    expect((await getShoe(1, undefined, { 'If-None-Match': narrow.headers.ETag })).statusCode).toBe(200);
+    expect((await getShoe(1, { fields: 'name' }, { 'If-None-Match': narrow.headers.ETag })).statusCode).toBe(304);
+  });
+
+  it('returns 304 when If-None-Match carries the current ETag', async () => {
+    const first = await getShoe(1);
+    const second = await getShoe(1, undefined, { 'if-none-match': first.headers.ETag });
+    expect(second.statusCode).toBe(304);
+  });
+
+  it('returns 404 for an unknown shoe', async () => {
+    const res = await getShoe(999);
+    expect(res.statusCode).toBe(404);
+    expect(parseBody(res)).toEqual({ message: 'Shoe not found.', code: 'NOT_FOUND' });
+  });
+
+  it('returns 400 without an id or with a bad projection', async () => {
+    expect(parseBody(await getShoe(null))).toEqual({ message: 'Shoe ID is required.', code: 'VALIDATION_ERROR' });
+    const res = await getShoe(1, { include: 'reviews' });
+    expect(res.statusCode).toBe(400);
+    expect(parseBody(res)).toEqual({ message: 'Unknown include(s): reviews. Allowed: inventory, images.', code: 'VALIDATION_ERROR' });
+  });
+
+  it('does not leak database errors', async () => {
+    jest.spyOn(repos.shoes, 'getById').mockRejectedValue(new Error('connect ECONNREFUSED 10.0.3.17:3306'));
+
+    const res = await getShoe(1);
+
+    expect(res.statusCode).toBe(500);
+    expect(parseBody(res)).toEqual({ message: 'Error fetching shoe.', code: 'INTERNAL' });
+  });
+});
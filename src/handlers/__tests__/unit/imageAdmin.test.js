@@ -0,0 +1,196 @@
+// src/handlers/__tests__/unit/imageAdmin.test.js
+'use strict';
+
+// Presigning is local signing work: any credentials will do, nothing is sent to AWS
+process.env.AWS_ACCESS_KEY_ID = 'AKIDEXAMPLE';
+process.env.AWS_SECRET_ACCESS_KEY = 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY';
+process.env.AWS_REGION = 'us-east-1';
+
+const { handler } = require('../../imageAdmin');
+const { IMAGE_PUBLIC_BASE } = require('../../../lib/images');
+const { ADMIN_CLAIMS, CUSTOMER_CLAIMS, EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { CDN, catalogSeed, useCatalog, resetRepositories } = require('../fixtures/catalog');
+const { useBucket } = require('../fixtures/s3');
+
+const bucketUrl = (name) => `${IMAGE_PUBLIC_BASE}images/${name}`;
+
+// Shoe 1 uses two bucket images, shoe 2 a key that is gone, shoe 3 a CDN image, shoe 4 none
+function imageCatalog() {
+  const seed = catalogSeed();
+  Object.assign(seed.shoes[0], { image: bucketUrl('pegasus.jpg'), images: [bucketUrl('pegasus.jpg'), bucketUrl('pegasus-side.jpg')] });
+  Object.assign(seed.shoes[1], { image: bucketUrl('ultraboost.jpg'), images: [bucketUrl('ultraboost.jpg')] });
+  return seed;
+}
+
+const HOUR = 3600 * 1000;
+
+describe.each(EVENT_FORMATS)('imageAdmin handler, %s', (_format, makeEvent) => {
+  let repos;
+  let bucket;
+
+  beforeEach(() => {
+    quietConsole();
+    repos = useCatalog(imageCatalog());
+    bucket = useBucket([
+      { Key: 'images/' },
+      { Key: 'images/pegasus.jpg' },
+      { Key: 'images/pegasus-side.jpg' },
+      { Key: 'images/old-orphan.jpg', Size: 512, LastModified: new Date(Date.now() - 2 * HOUR).toISOString() },
+      { Key: 'images/fresh-upload.jpg', LastModified: new Date().toISOString() },
+    ]);
+  });
+
+  afterEach(() => {
+    bucket.s3.restore();
+    resetRepositories();
+    jest.restoreAllMocks();
+  });
+
+  const uploadUrl = (body, claims = ADMIN_CLAIMS) => handler(makeEvent({
+    method: 'POST', path: '/images/upload-url', body, claims,
+  }));
+
+  describe('POST /images/upload-url', () => {
+    it('presigns a PUT that pins Content-Type and Content-Length but no body checksum', async () => {
+      const res = await uploadUrl({ contentType: 'image/jpeg', size: 183204, filename: 'Air Zoom.jpg' });
+
+      expect(res.statusCode).toBe(200);
+      const { uploadUrl: url, key, headers } = parseBody(res);
+      expect(key).toMatch(/^images\/[0-9a-f-]{36}-air-zoom\.jpg$/);
+      expect(headers).toEqual({ 'Content-Type': 'image/jpeg' });
+
+      const query = new URL(url).searchParams;
+      expect(query.get('X-Amz-SignedHeaders').split(';').sort()).toEqual(['content-length', 'content-type', 'host']);
+      expect(query.get('X-Amz-Expires')).toBe('300');
+      // A checksum in the URL would be the CRC32 of an empty body, failing every real upload
+      expect([...query.keys()].filter((k) => k.toLowerCase().startsWith('x-amz-checksum'))).toEqual([]);
+      expect(query.get('x-amz-sdk-checksum-algorithm')).toBeNull();
+    });
+
+    it('rejects types and sizes it will not sign', async () => {
+      const res = await uploadUrl({ contentType: 'text/html', size: 999999999 });
+
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res).errors.map((e) => e.field)).toEqual(['contentType', 'size']);
+    });
+
+    it('rejects callers without the admin group', async () => {
+      const res = await uploadUrl({ contentType: 'image/jpeg', size: 10 }, CUSTOMER_CLAIMS);
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('GET|POST /images/report', () => {
+    const report = (method, body) => handler(makeEvent({ method, path: '/images/report', body, claims: ADMIN_CLAIMS }));
+
+    it('cross-references the bucket with shoe images and galleries', async () => {
+      const res = await report('GET');
+
+      expect(res.statusCode).toBe(200);
+      const body = parseBody(res);
+      expect(body.totals).toEqual({ images: 4, shoes: 4 });
+      expect(body.orphans.map((o) => o.key)).toEqual(['images/fresh-upload.jpg', 'images/old-orphan.jpg']);
+      expect(body.orphans[1]).toMatchObject({ url: bucketUrl('old-orphan.jpg'), size: 512 });
+      expect(body.missing).toEqual([{ id: 2, name: 'Ultraboost Light', image: bucketUrl('ultraboost.jpg'), key: 'images/ultraboost.jpg' }]);
+      expect(body.noImage).toEqual([{ id: 4, name: 'Gel-Kayano' }]);
+      expect(body.external).toEqual([{ id: 3, name: 'Air Max 90', image: `${CDN}/airmax.jpg` }]);
+    });
+
+    it('deletes only orphans older than minAgeMinutes', async () => {
+      const res = await report('POST', { deleteOrphans: true });
+
+      expect(res.statusCode).toBe(200);
+      const body = parseBody(res);
+      expect(body.deleted).toEqual(['images/old-orphan.jpg']);
+      expect(body.orphans.map((o) => o.key)).toEqual(['images/fresh-upload.jpg']);
+      expect([...bucket.store.keys()]).not.toContain('images/old-orphan.jpg');
+      expect([...bucket.store.keys()]).toContain('images/pegasus.jpg');
+
+      const all = parseBody(await report('POST', { deleteOrphans: true, minAgeMinutes: 0 }));
+      expect(all.deleted).toEqual(['images/fresh-upload.jpg']);
+    });
+
+    it('requires deleteOrphans: true on POST', async () => {
+      const res = await report('POST', {});
+      expect(res.statusCode).toBe(400);
+      expect(bucket.store.size).toBe(5);
+    });
+
+    it('rejects callers without the admin group', async () => {
+      const res = await handler(makeEvent({ method: 'GET', path: '/images/report', claims: CUSTOMER_CLAIMS }));
+      expect(res.statusCode).toBe(403);
+    });
+  });
+
+  describe('DELETE /images/{key}', () => {
+    const remove = (key, query) => handler(makeEvent({
+      method: 'DELETE', path: `/images/${key}`, pathParameters: { key }, query, claims: ADMIN_CLAIMS,
+    }));
+    const shoe = (id) => repos.dump().shoes.find((s) => s.id === id);
+    const gallery = (id) => repos.dump().images.filter((r) => r.shoe_id === id).map((r) => [r.url, Boolean(r.is_primary)]);
+
+    it('deletes an image no shoe uses', async () => {
+      const res = await remove('old-orphan.jpg');
+
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res)).toEqual({ key: 'images/old-orphan.jpg', deleted: true, affectedShoes: [] });
+      expect(bucket.store.has('images/old-orphan.jpg')).toBe(false);
+    });
+
+    it('refuses while a shoe or gallery still references the image', async () => {
+      const res = await remove('images/pegasus-side.jpg');
+
+      expect(res.statusCode).toBe(409);
+      expect(parseBody(res)).toMatchObject({ code: 'CONFLICT', key: 'images/pegasus-side.jpg', referencedBy: [1] });
+      expect(bucket.store.has('images/pegasus-side.jpg')).toBe(true);
+      expect(gallery(1)).toHaveLength(2);
+    });
+
+    it('with force=true clears the references, promotes the next gallery image and bumps the version', async () => {
+      const res = await remove('pegasus.jpg', { force: 'true' });
+
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res).affectedShoes).toEqual([{
+        id: 1, name: 'Air Zoom Pegasus', imageCleared: true, galleryImagesRemoved: 1, image: bucketUrl('pegasus-side.jpg'),
+      }]);
+      expect(shoe(1)).toMatchObject({ image: bucketUrl('pegasus-side.jpg'), version: 2 });
+      expect(gallery(1)).toEqual([[bucketUrl('pegasus-side.jpg'), true]]);
+      expect(bucket.store.has('images/pegasus.jpg')).toBe(false);
+    });
+
+    it('with force=true points the image at the promoted primary when it had drifted from the gallery', async () => {
+      // shoes.image names a CDN copy while the gallery primary is the bucket image being deleted
+      await repos.shoes.update(1, { image: `${CDN}/pegasus.jpg` });
+
+      const res = await remove('pegasus.jpg', { force: 'true' });
+
+      expect(parseBody(res).affectedShoes[0]).toMatchObject({ imageCleared: false, image: bucketUrl('pegasus-side.jpg') });
+      expect(shoe(1)).toMatchObject({ image: bucketUrl('pegasus-side.jpg'), version: 3 });
+      expect(gallery(1)).toEqual([[bucketUrl('pegasus-side.jpg'), true]]);
+    });
+
+    it('with force=true empties the image when no gallery image is left', async () => {
+      await remove('pegasus.jpg', { force: 'true' });
+      await remove('pegasus-side.jpg', { force: 'true' });
+
+      expect(shoe(1)).toMatchObject({ image: '', version: 3 });
+      expect(gallery(1)).toEqual([]);
+    });
+
+    it('returns 404 for a missing object and 400 for a bad key', async () => {
+      expect((await remove('nope.jpg')).statusCode).toBe(404);
+      expect((await remove('..%2Fsecrets.txt')).statusCode).toBe(400);
+    });
+
+    it('leaves the database untouched when the S3 delete fails', async () => {
+      const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+      bucket.s3.on(DeleteObjectCommand).rejects(new Error('AccessDenied'));
+
+      const res = await remove('pegasus.jpg', { force: 'true' });
+
+      expect(res.statusCode).toBe(500);
+      expect(shoe(1)).toMatchObject({ image: bucketUrl('pegasus.jpg'), version: 1 });
+      expect(gallery(1)).toHaveLength(2);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+// src/handlers/__tests__/unit/imageList.test.js
+'use strict';
+
+const { handler } = require('../../imageList');
+const { IMAGE_PUBLIC_BASE } = require('../../../lib/images');
+const { EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { useBucket } = require('../fixtures/s3');
+
+const OBJECTS = [
+  { Key: 'images/' },
+  { Key: 'images/air-zoom.jpg', Size: 2048, LastModified: '2026-03-01T00:00:00.000Z' },
+  { Key: 'images/boost.png', LastModified: '2026-01-15T00:00:00.000Z' },
+  { Key: 'images/court.webp', LastModified: '2026-02-01T00:00:00.000Z' },
+  { Key: 'images/zoom-fly.JPG', LastModified: '2026-01-01T00:00:00.000Z' },
+  { Key: 'other/ignored.jpg' },
+];
+
+describe.each(EVENT_FORMATS)('imageList handler, %s', (_format, makeEvent) => {
+  let bucket;
+
+  beforeEach(() => {
+    quietConsole();
+    // Two keys per S3 page, so every listing has to follow continuation tokens
+    bucket = useBucket(OBJECTS, { pageSize: 2 });
+  });
+
+  afterEach(() => {
+    bucket.s3.restore();
+    jest.restoreAllMocks();
+  });
+
+  const list = (query) => handler(makeEvent({ method: 'GET', path: '/images', query }));
+  const keys = (res) => parseBody(res).items.map((img) => img.key);
+
+  it('lists every image under the prefix with its metadata, skipping the folder marker', async () => {
+    const res = await list();
+
+    expect(res.statusCode).toBe(200);
+    const body = parseBody(res);
+    expect(keys(res)).toEqual(['images/air-zoom.jpg', 'images/boost.png', 'images/court.webp', 'images/zoom-fly.JPG']);
+    expect(body.items[0]).toEqual({
+      key: 'images/air-zoom.jpg',
+      url: `${IMAGE_PUBLIC_BASE}images/air-zoom.jpg`,
+      size: 2048,
+      lastModified: '2026-03-01T00:00:00.000Z',
+      contentType: 'image/jpeg',
+    });
+    expect(body.items[3].contentType).toBe('image/jpeg');
+    expect(body.nextCursor).toBeNull();
+  });
+
+  it('keeps the original `images` URL list next to `items`', async () => {
+    const body = parseBody(await list({ limit: 2 }));
+    expect(body.images).toEqual([`${IMAGE_PUBLIC_BASE}images/air-zoom.jpg`, `${IMAGE_PUBLIC_BASE}images/boost.png`]);
+    expect(body.images).toEqual(body.items.map((img) => img.url));
+  });
+
+  it('pages in key order with the returned cursor', async () => {
+    const first = await list({ limit: 3 });
+    expect(keys(first)).toEqual(['images/air-zoom.jpg', 'images/boost.png', 'images/court.webp']);
+
+    const second = await list({ limit: 3, cursor: parseBody(first).nextCursor });
+    expect(keys(second)).toEqual(['images/zoom-fly.JPG']);
+    expect(parseBody(second).nextCursor).toBeNull();
+  });
+
+  it('filters by a case-insensitive filename substring', async () => {
+    expect(keys(await list({ q: 'ZOOM' }))).toEqual(['images/air-zoom.jpg', 'images/zoom-fly.JPG']);
+  });
+
+  it.each([
+    ['newest', ['images/air-zoom.jpg', 'images/court.webp', 'images/boost.png', 'images/zoom-fly.JPG']],
+    ['oldest', ['images/zoom-fly.JPG', 'images/boost.png', 'images/court.webp', 'images/air-zoom.jpg']],
+  ])('sorts by %s across pages', async (sort, expected) => {
+    const first = await list({ sort, limit: 2 });
+    const second = await list({ sort, limit: 2, cursor: parseBody(first).nextCursor });
+
+    expect([...keys(first), ...keys(second)]).toEqual(expected);
+    expect(parseBody(second).nextCursor).toBeNull();
+  });
+
+  it('continues a date-sorted listing after the cursor even when images were added in between', async () => {
+    const first = await list({ sort: 'newest', limit: 2 });
+    bucket.store.set('images/brand-new.jpg', { Size: 1, LastModified: new Date('2026-04-01T00:00:00.000Z') });
+
+    const second = await list({ sort: 'newest', limit: 2, cursor: parseBody(first).nextCursor });
+    expect(keys(second)).toEqual(['images/boost.png', 'images/zoom-fly.JPG']);
+  });
+
+  it('refuses date sorts past IMAGE_DATE_SORT_MAX_OBJECTS instead of listing a huge bucket per page', async () => {
+    process.env.IMAGE_DATE_SORT_MAX_OBJECTS = '3';
+    let capped;
+    let isolatedBucket;
+    jest.isolateModules(() => {
+      // the fresh module registry has its own S3Client, so mock that one
+      isolatedBucket = require('../fixtures/s3').useBucket(OBJECTS, { pageSize: 2 });
+      capped = require('../../imageList').handler;
+    });
+    delete process.env.IMAGE_DATE_SORT_MAX_OBJECTS;
+
+    const res = await capped(makeEvent({ method: 'GET', path: '/images', query: { sort: 'oldest' } }));
+    expect(res.statusCode).toBe(400);
+    expect(parseBody(res).message).toBe('"sort=oldest" is limited to 3 images; use sort=key for this bucket.');
+    expect((await capped(makeEvent({ method: 'GET', path: '/images' }))).statusCode).toBe(200);
+    isolatedBucket.s3.restore();
+  });
+
+  it('returns 200 with no items for an empty prefix', async () => {
+    bucket.store.clear();
+    const res = await list();
+    expect(res.statusCode).toBe(200);
+    expect(parseBody(res).items).toEqual([]);
+  });
+
+  it('rejects bad params and cursors issued for another listing', async () => {
+    expect(parseBody(await list({ limit: 0 })).code).toBe('VALIDATION_ERROR');
+    expect((await list({ sort: 'size' })).statusCode).toBe(400);
+
+    const first = await list({ limit: 1 });
+    const res = await list({ sort: 'newest', cursor: parseBody(first).nextCursor });
+    expect(res.statusCode).toBe(400);
+    expect(parseBody(res)).toEqual({ message: 'Invalid "cursor" for this sort/filter.', code: 'VALIDATION_ERROR' });
+  });
+
+  it('does not leak S3 errors', async () => {
+    bucket.s3.rejects(new Error('AccessDenied: arn:aws:iam::123456789012:role/lambda'));
+
+    const res = await list();
+
+    expect(res.statusCode).toBe(500);
+    expect(parseBody(res)).toEqual({ message: 'Error listing images.', code: 'INTERNAL' });
+  });
+});
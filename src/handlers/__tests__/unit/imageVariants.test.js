@@ -0,0 +1,141 @@
+// src/handlers/__tests__/unit/imageVariants.test.js
+'use strict';
+
+const sharp = require('sharp');
+const { handler } = require('../../imageVariants');
+const { IMAGES_BUCKET } = require('../../../lib/images');
+const { quietConsole } = require('../fixtures/events');
+const { useBucket } = require('../fixtures/s3');
+
+const VARIANT_KEYS = (name) => [
+  `variants/${name}/thumbnail.webp`,
+  `variants/${name}/thumbnail.jpg`,
+  `variants/${name}/card.webp`,
+  `variants/${name}/card.jpg`,
+  `variants/${name}/detail.webp`,
+  `variants/${name}/detail.jpg`,
+];
+
+// The two shapes the function is triggered with: EventBridge and classic S3 notifications
+const TRIGGERS = [
+  ['EventBridge', (key, removed = false) => ({
+    'detail-type': removed ? 'Object Deleted' : 'Object Created',
+    detail: { bucket: { name: IMAGES_BUCKET }, object: { key } },
+  })],
+  ['S3 notification', (key, removed = false) => ({
+    Records: [{
+      eventName: removed ? 'ObjectRemoved:Delete' : 'ObjectCreated:Put',
+      s3: { bucket: { name: IMAGES_BUCKET }, object: { key: encodeURIComponent(key).replace(/%20/g, '+') } },
+    }],
+  })],
+];
+
+function png(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: '#c03' } }).png().toBuffer();
+}
+
+const widthOf = async (body) => (await sharp(body).metadata()).width;
+
+describe.each(TRIGGERS)('imageVariants handler, %s', (_trigger, makeEvent) => {
+  let bucket;
+  let source;
+
+  beforeAll(async () => {
+    source = await png(1600, 800);
+  });
+
+  beforeEach(() => {
+    quietConsole();
+    bucket = useBucket([
+      { Key: 'images/pegasus.png', Body: source },
+      { Key: 'images/logo.svg', Body: Buffer.from('<svg/>') },
+    ]);
+  });
+
+  afterEach(() => {
+    bucket.s3.restore();
+    jest.restoreAllMocks();
+  });
+
+  it('writes a WebP and a JPEG per variant width for a new image', async () => {
+    const result = await handler(makeEvent('images/pegasus.png'));
+
+    expect(result).toEqual({ processed: 1 });
+    expect([...bucket.store.keys()].filter((k) => k.startsWith('variants/')).sort())
+      .toEqual(VARIANT_KEYS('pegasus.png').sort());
+
+    const thumbnail = bucket.store.get('variants/pegasus.png/thumbnail.webp');
+    expect(thumbnail.ContentType).toBe('image/webp');
+    expect(await widthOf(thumbnail.Body)).toBe(160);
+    expect(bucket.store.get('variants/pegasus.png/detail.jpg').ContentType).toBe('image/jpeg');
+    expect(await widthOf(bucket.store.get('variants/pegasus.png/detail.jpg').Body)).toBe(1200);
+  });
+
+  it('never enlarges an image smaller than a variant width', async () => {
+    bucket.store.set('images/tiny shoe.png', { Body: await png(100, 50) });
+
+    await handler(makeEvent('images/tiny shoe.png'));
+
+    expect(await widthOf(bucket.store.get('variants/tiny shoe.png/detail.webp').Body)).toBe(100);
+  });
+
+  it('removes the variants when the original is deleted', async () => {
+    await handler(makeEvent('images/pegasus.png'));
+    bucket.store.delete('images/pegasus.png');
+
+    const result = await handler(makeEvent('images/pegasus.png', true));
+
+    expect(result).toEqual({ processed: 1 });
+    expect([...bucket.store.keys()]).toEqual(['images/logo.svg']);
+  });
+
+  it.each([
+    ['images/logo.svg'],
+    ['images/'],
+    ['variants/pegasus.png/card.jpg'],
+    ['other/pegasus.png'],
+  ])('ignores %s', async (key) => {
+    const result = await handler(makeEvent(key));
+
+    expect(result).toEqual({ processed: 0 });
+    expect(bucket.store.size).toBe(2);
+  });
+
+  it('throws when the original cannot be read, so the invocation is retried', async () => {
+    await expect(handler(makeEvent('images/gone.png'))).rejects.toThrow();
+  });
+});
+
+describe('imageVariants handler, backfill', () => {
+  let bucket;
+
+  beforeEach(async () => {
+    quietConsole();
+    bucket = useBucket([
+      { Key: 'images/' },
+      { Key: 'images/a.png', Body: await png(400, 200) },
+      { Key: 'images/b.png', Body: await png(400, 200) },
+      { Key: 'images/broken.jpg', Body: Buffer.from('not an image') },
+      { Key: 'images/logo.svg', Body: Buffer.from('<svg/>') },
+    ], { pageSize: 2 });
+  });
+
+  afterEach(() => {
+    bucket.s3.restore();
+    jest.restoreAllMocks();
+  });
+
+  it('builds variants for every source image across pages and reports failures', async () => {
+    const result = await handler({ backfill: true });
+
+    expect(result).toEqual({ processed: 2, failed: ['images/broken.jpg'] });
+    expect([...bucket.store.keys()].filter((k) => k.startsWith('variants/')).sort())
+      .toEqual([...VARIANT_KEYS('a.png'), ...VARIANT_KEYS('b.png')].sort());
+  });
+
+  it('does nothing for an event it does not recognise', async () => {
+    expect(await handler({})).toEqual({ processed: 0 });
+    expect(await handler()).toEqual({ processed: 0 });
+    expect(bucket.store.size).toBe(5);
+  });
+});
@@ -0,0 +1,126 @@
+// src/handlers/__tests__/unit/migrate.test.js
+'use strict';
+
+let mockConn;
+jest.mock('../../../lib/db', () => ({
+  withDb: (fn) => fn(mockConn),
+}));
+
+const { handler } = require('../../migrate');
+const { loadMigrations } = require('../../../lib/migrations');
+const { quietConsole } = require('../fixtures/events');
+
+/**
+ * Just enough of a mysql2 connection for the runner: schema_migrations is kept in memory,
+ * information_schema answers come from `schema`, and every other statement is logged.
+ */
+function fakeConnection({ schema = { fulltext: true, cascades: true }, lock = 1 } = {}) {
+  const conn = {
+    applied: [],
+    statements: [],
+    async query(sql, params = []) {
+      const text = sql.replace(/\s+/g, ' ').trim();
+      if (/CREATE TABLE IF NOT EXISTS schema_migrations/.test(text)) return [[]];
+      if (/GET_LOCK/.test(text)) return [[{ acquired: lock }]];
+      if (/RELEASE_LOCK/.test(text)) return [[{}]];
+      if (/^SELECT version, name, checksum/.test(text)) return [conn.applied.map((row) => ({ ...row }))];
+      if (/^INSERT INTO schema_migrations/.test(text)) {
+        const [version, name, checksum] = params;
+        conn.applied.push({ version, name, checksum, applied_at: new Date('2026-01-01T00:00:00Z') });
+        return [{ affectedRows: 1 }];
+      }
+      if (/^DELETE FROM schema_migrations/.test(text)) {
+        conn.applied = conn.applied.filter((row) => row.version !== params[0]);
+        return [{ affectedRows: 1 }];
+      }
+      if (/information_schema\.STATISTICS/.test(text)) return [schema.fulltext ? [{ 1: 1 }] : []];
+      if (/information_schema\.KEY_COLUMN_USAGE/.test(text)) {
+        return [schema.cascades ? [{ name: `fk_${params[0]}_shoe`, deleteRule: 'CASCADE' }] : []];
+      }
+      conn.statements.push(text);
+      return [[]];
+    },
+  };
+  return conn;
+}
+
+const VERSIONS = loadMigrations().map((m) => m.version);
+
+describe('migrate handler', () => {
+  beforeEach(() => {
+    quietConsole();
+    mockConn = fakeConnection();
+  });
+
+  afterEach(() => {
+    mockConn = undefined;
+    jest.restoreAllMocks();
+  });
+
+  it('brings an empty database to the current schema, then has nothing left to do', async () => {
+    const first = await handler({ action: 'up' });
+
+    expect(first.ok).toBe(true);
+    expect(first.applied).toEqual(VERSIONS);
+    expect(first.migrations.every((m) => m.state === 'applied')).toBe(true);
+    const created = mockConn.statements.filter((s) => s.startsWith('CREATE TABLE')).map((s) => s.split(' ')[5]);
+    expect(created).toEqual(['shoes', 'shoe_inventory', 'shoe_images', 'idempotency_keys']);
+    expect(mockConn.statements.find((s) => s.includes('shoe_inventory ('))).toContain('ON DELETE CASCADE');
+
+    const second = await handler({});
+    expect(second).toMatchObject({ ok: true, applied: [] });
+  });
+
+  it('stops at "to" and reports the rest as pending', async () => {
+    const res = await handler({ action: 'up', to: '0002' });
+    expect(res.applied).toEqual(['0001', '0002']);
+    expect(res.migrations.filter((m) => m.state === 'pending').map((m) => m.version)).toEqual(VERSIONS.slice(2));
+  });
+
+  it('rolls back the latest migration, or everything above "to"', async () => {
+    await handler({ action: 'up' });
+
+    const one = await handler({ action: 'down' });
+    expect(one.rolledBack).toEqual([VERSIONS[VERSIONS.length - 1]]);
+
+    const rest = await handler({ action: 'down', to: '0001' });
+    expect(rest.rolledBack).toEqual(VERSIONS.slice(1, -1).reverse());
+    expect(mockConn.statements).toEqual(expect.arrayContaining(['DROP TABLE IF EXISTS shoe_images', 'DROP TABLE IF EXISTS shoe_inventory']));
+    expect(mockConn.applied.map((row) => row.version)).toEqual(['0001']);
+  });
+
+  it('refuses to run when an applied migration was edited', async () => {
+    await handler({ action: 'up', to: '0001' });
+    mockConn.applied[0].checksum = 'f'.repeat(64);
+
+    const res = await handler({ action: 'up' });
+    expect(res.ok).toBe(false);
+    expect(res.message).toMatch(/0001_create_shoes/);
+    expect(mockConn.applied).toHaveLength(1);
+    expect((await handler({ action: 'status' })).migrations[0].state).toBe('changed');
+  });
+
+  it('adds the search index and cascades to hand-made tables', async () => {
+    mockConn = fakeConnection({ schema: { fulltext: false, cascades: false } });
+
+    await handler({ action: 'up' });
+
+    expect(mockConn.statements).toEqual(expect.arrayContaining([
+      'ALTER TABLE shoes ADD FULLTEXT KEY ft_shoes_name_brand (name, brand)',
+      'ALTER TABLE shoe_inventory ADD CONSTRAINT fk_shoe_inventory_shoe FOREIGN KEY (shoe_id) REFERENCES shoes (id) ON DELETE CASCADE',
+      'ALTER TABLE shoe_images ADD CONSTRAINT fk_shoe_images_shoe FOREIGN KEY (shoe_id) REFERENCES shoes (id) ON DELETE CASCADE',
+    ]));
+  });
+
+  it('gives up when another run holds the lock', async () => {
+    mockConn = fakeConnection({ lock: 0 });
+    const res = await handler({ action: 'up' });
+    expect(res).toEqual({ ok: false, message: 'Another migration run holds the schema lock; try again once it finishes.' });
+    expect(mockConn.applied).toEqual([]);
+  });
+
+  it('rejects unknown actions and bad steps', async () => {
+    expect(await handler({ action: 'reset' })).toEqual({ ok: false, message: 'Unknown action "reset"; use status, up or down.' });
+    expect(await handler({ action: 'down', steps: 0 })).toEqual({ ok: false, message: '"steps" must be a positive integer.' });
+  });
+});
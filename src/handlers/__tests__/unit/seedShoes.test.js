@@ -0,0 +1,167 @@
+// src/handlers/__tests__/unit/seedShoes.test.js
+'use strict';
+
+const { handler } = require('../../seedShoes');
+const { ADMIN_CLAIMS, CUSTOMER_CLAIMS, EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { CDN, useCatalog, resetRepositories } = require('../fixtures/catalog');
+
+describe.each(EVENT_FORMATS)('seedShoes handler, %s', (_format, makeEvent) => {
+  let repos;
+
+  beforeEach(() => {
+    quietConsole();
+    repos = useCatalog({ shoes: [] });
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    jest.restoreAllMocks();
+  });
+
+  const post = (body, claims = ADMIN_CLAIMS, headers) => makeEvent({ method: 'POST', path: '/shoes', body, claims, headers });
+
+  it('answers CORS preflight without auth', async () => {
+    const res = await handler(makeEvent({ method: 'OPTIONS', path: '/shoes' }));
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('rejects callers without the admin group', async () => {
+    const res = await handler(post({ name: 'Runner', brand: 'Nike', price: 80 }, CUSTOMER_CLAIMS));
+    expect(res.statusCode).toBe(403);
+    expect(repos.dump().shoes).toEqual([]);
+  });
+
+  it('creates a single shoe and returns it with its gallery', async () => {
+    const res = await handler(post({ name: 'Runner', brand: 'Nike', price: 80, size: 9, image: `${CDN}/runner.jpg` }));
+
+    expect(res.statusCode).toBe(201);
+    const shoe = parseBody(res);
+    expect(shoe).toMatchObject({ name: 'Runner', brand: 'Nike', price: '80.00', image: `${CDN}/runner.jpg` });
+    expect(shoe.images).toEqual([expect.objectContaining({ url: `${CDN}/runner.jpg`, isPrimary: true, variants: null })]);
+    // same shape as GET /shoes/{id}
+    expect(shoe).toHaveProperty('imageVariants', null);
+
+    const tables = repos.dump();
+    expect(tables.inventory).toEqual([expect.objectContaining({ shoe_id: shoe.id, quantity: 1 })]);
+  });
+
+  it('seeds a batch of shoes with inventory and galleries', async () => {
+    const res = await handler(post({
+      shoes: [
+        { name: 'Trail', brand: 'Salomon', price: 150, images: [`${CDN}/trail.jpg`], inventory: [{ size: 10, quantity: 3 }] },
+        { name: 'Court', brand: 'Adidas', price: '70', inventory: [{ size: 8, quantity: 0 }, { size: 8.5 }] },
+      ],
+    }));
+
+    expect(res.statusCode).toBe(200);
+    expect(parseBody(res)).toEqual({ message: 'Shoes seeded successfully! Inserted 2 shoes.' });
+    const tables = repos.dump();
+    expect(tables.shoes.map((s) => [s.name, s.price, s.image])).toEqual([
+      ['Trail', '150.00', `${CDN}/trail.jpg`],
+      ['Court', '70.00', ''],
+    ]);
+    expect(tables.inventory.map((r) => [r.size, r.quantity])).toEqual([['10.0', 3], ['8.0', 0], ['8.5', 1]]);
+    expect(tables.images).toHaveLength(1);
+  });
+
+  it('rejects bad payloads without inserting anything', async () => {
+    const invalidJson = await handler(post('{"shoes": ['));
+    expect(invalidJson.statusCode).toBe(400);
+    expect(parseBody(invalidJson)).toEqual({ message: 'Invalid JSON body', code: 'VALIDATION_ERROR' });
+
+    const missing = await handler(post({ brand: 'Nike' }));
+    expect(missing.statusCode).toBe(400);
+    expect(parseBody(missing)).toEqual({
+      message: 'Request validation failed.',
+      code: 'VALIDATION_ERROR',
+      errors: [{ field: 'name', message: 'is required' }, { field: 'price', message: 'is required' }],
+    });
+
+    const emptyBatch = await handler(post({ shoes: [] }));
+    expect(parseBody(emptyBatch).errors).toEqual([{ field: 'shoes', message: 'must NOT have fewer than 1 items' }]);
+
+    const badGallery = await handler(post({ shoes: [{ name: 'A', brand: 'B', price: 1, images: [{ alt: 'no url' }] }] }));
+    expect(badGallery.statusCode).toBe(400);
+    expect(parseBody(badGallery).errors).toEqual([{ field: 'shoes[0].images[0].url', message: 'is required' }]);
+
+    const twoPrimaries = await handler(post({
+      name: 'A', brand: 'B', price: 1, images: [{ url: 'a.jpg', isPrimary: true }, { url: 'b.jpg', isPrimary: true }],
+    }));
+    expect(parseBody(twoPrimaries).errors).toEqual([{ field: 'images', message: 'only one image can have "isPrimary": true' }]);
+
+    const badFields = await handler(post({
+      shoes: [
+        { name: 'Fine', brand: 'B', price: 10 },
+        { name: 'A', brand: 'B', price: 'abc', inventory: [{ size: 9, quantity: -4 }] },
+        { name: 'x'.repeat(256), brand: 'B', price: 0, size: 7.5 },
+      ],
+    }));
+    expect(badFields.statusCode).toBe(400);
+    expect(parseBody(badFields).errors).toEqual([
+      { field: 'shoes[1].price', message: 'must be number' },
+      { field: 'shoes[1].inventory[0].quantity', message: 'must be >= 0' },
+      { field: 'shoes[2].name', message: 'must NOT have more than 255 characters' },
+      { field: 'shoes[2].price', message: 'must be > 0' },
+    ]);
+
+    const wrongTypes = await handler(post({ name: true, brand: 1, price: true, images: [123], inventory: [{ size: 9, quantity: false }] }));
+    expect(parseBody(wrongTypes).errors).toEqual([
+      { field: 'name', message: 'must be string' },
+      { field: 'brand', message: 'must be string' },
+      { field: 'price', message: 'must be number' },
+      { field: 'images[0]', message: 'must be object' },
+      { field: 'inventory[0].quantity', message: 'must be integer or null' },
+    ]);
+
+    expect(repos.dump().shoes).toEqual([]);
+  });
+
+  describe('Idempotency-Key', () => {
+    const runner = { name: 'Runner', brand: 'Nike', price: 80, size: 9 };
+    const withKey = (key, body = runner) => post(body, ADMIN_CLAIMS, { 'Idempotency-Key': key });
+
+    it('replays the first response for a retried create instead of inserting again', async () => {
+      const first = await handler(withKey('create-1'));
+      const retry = await handler(withKey('create-1'));
+
+      expect(first.statusCode).toBe(201);
+      expect(retry.statusCode).toBe(201);
+      expect(retry.body).toBe(first.body);
+      expect(retry.headers['Idempotent-Replayed']).toBe('true');
+      expect(first.headers['Idempotent-Replayed']).toBeUndefined();
+      expect(repos.dump().shoes).toHaveLength(1);
+    });
+
+    it('rejects a key reused for a different body', async () => {
+      await handler(withKey('create-2'));
+      const res = await handler(withKey('create-2', { ...runner, price: 90 }));
+
+      expect(res.statusCode).toBe(422);
+      expect(parseBody(res).code).toBe('IDEMPOTENCY_KEY_REUSED');
+      expect(repos.dump().shoes).toHaveLength(1);
+    });
+
+    it('keeps keys separate per caller', async () => {
+      await handler(withKey('shared'));
+      await handler(post(runner, { ...ADMIN_CLAIMS, sub: 'other-admin' }, { 'Idempotency-Key': 'shared' }));
+      expect(repos.dump().shoes).toHaveLength(2);
+    });
+
+    it('does not store failures, so the same key can be retried', async () => {
+      jest.spyOn(repos.shoes, 'createMany').mockRejectedValueOnce(new Error('Connection lost'));
+
+      expect((await handler(withKey('create-3'))).statusCode).toBe(500);
+      const retry = await handler(withKey('create-3'));
+
+      expect(retry.statusCode).toBe(201);
+      expect(retry.headers['Idempotent-Replayed']).toBeUndefined();
+      expect(repos.dump().shoes).toHaveLength(1);
+    });
+
+    it('rejects malformed keys', async () => {
+      const res = await handler(withKey('has spaces'));
+      expect(res.statusCode).toBe(400);
+      expect(repos.dump().shoes).toEqual([]);
+    });
+  });
+});
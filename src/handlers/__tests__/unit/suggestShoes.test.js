@@ -0,0 +1,80 @@
+// src/handlers/__tests__/unit/suggestShoes.test.js
+'use strict';
+
+const { handler } = require('../../suggestShoes');
+const { EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { useCatalog, resetRepositories } = require('../fixtures/catalog');
+
+const MINUTE = 60 * 1000;
+
+// The handler caches per warm container; a clock that jumps past the TTL keeps tests independent
+let now = Date.now();
+
+describe.each(EVENT_FORMATS)('suggestShoes handler, %s', (_format, makeEvent) => {
+  let repos;
+
+  beforeEach(() => {
+    quietConsole();
+    repos = useCatalog();
+    now += 10 * MINUTE;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    jest.restoreAllMocks();
+  });
+
+  const suggest = (query) => handler(makeEvent({ method: 'GET', path: '/shoes/suggest', query }));
+
+  it('suggests names and brands, ranking leading matches first, with a public cache header', async () => {
+    const res = await suggest({ prefix: 'a' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Cache-Control']).toBe('public, max-age=60');
+    expect(parseBody(res)).toEqual({ prefix: 'a', names: ['Air Max 90', 'Air Zoom Pegasus'], brands: ['Adidas', 'Asics'] });
+  });
+
+  it('matches later words of a name and collapses whitespace in the prefix', async () => {
+    expect(parseBody(await suggest({ prefix: 'zoom' }))).toEqual({ prefix: 'zoom', names: ['Air Zoom Pegasus'], brands: [] });
+    expect(parseBody(await suggest({ prefix: '  air   max ' })).names).toEqual(['Air Max 90']);
+  });
+
+  it('caps the result at limit, and limit at the maximum', async () => {
+    expect(parseBody(await suggest({ prefix: 'air', limit: 1 })).names).toEqual(['Air Max 90']);
+    expect((await suggest({ prefix: 'air', limit: 500 })).statusCode).toBe(200);
+  });
+
+  it('answers repeats from the cache, regardless of case, until the TTL passes', async () => {
+    const spy = jest.spyOn(repos.shoes, 'suggest');
+
+    await suggest({ prefix: 'Air' });
+    await suggest({ prefix: 'aIR' });
+    expect(spy).toHaveBeenCalledTimes(1);
+
+    now += 2 * MINUTE;
+    await suggest({ prefix: 'air' });
+    expect(spy).toHaveBeenCalledTimes(2);
+  });
+
+  it.each([
+    [{}, '"prefix" is required.'],
+    [{ prefix: '   ' }, '"prefix" is required.'],
+    [{ prefix: 'x'.repeat(51) }, '"prefix" must be at most 50 characters.'],
+    [{ prefix: 'air', limit: 0 }, '"limit" must be an integer between 1 and 20.'],
+    [{ prefix: 'air', limit: 'many' }, '"limit" must be an integer between 1 and 20.'],
+  ])('rejects %j', async (query, message) => {
+    const res = await suggest(query);
+    expect(res.statusCode).toBe(400);
+    expect(parseBody(res)).toEqual({ message, code: 'VALIDATION_ERROR' });
+  });
+
+  it('does not leak repository errors', async () => {
+    jest.spyOn(repos.shoes, 'suggest').mockRejectedValue(new Error('ER_LOCK_WAIT_TIMEOUT'));
+
+    const res = await suggest({ prefix: 'boom' });
+
+    expect(res.statusCode).toBe(500);
+    expect(parseBody(res)).toEqual({ message: 'Error fetching suggestions.', code: 'INTERNAL' });
+  });
+});
@@ -0,0 +1,342 @@
+// src/handlers/__tests__/unit/updateShoes.test.js
+'use strict';
+
+const { handler } = require('../../updateShoes');
+const { handler: getShoe } = require('../../getshoe');
+const { ADMIN_CLAIMS, CUSTOMER_CLAIMS, EVENT_FORMATS, parseBody, quietConsole } = require('../fixtures/events');
+const { CDN, useCatalog, resetRepositories } = require('../fixtures/catalog');
+
+describe.each(EVENT_FORMATS)('updateShoes handler, %s', (_format, makeEvent) => {
+  let repos;
+
+  beforeEach(() => {
+    quietConsole();
+    repos = useCatalog();
+  });
+
+  afterEach(() => {
+    resetRepositories();
+    jest.restoreAllMocks();
+  });
+
+  const stockOf = (shoeId) => repos.dump().inventory
+    .filter((r) => r.shoe_id === shoeId)
+    .map((r) => ({ size: Number(r.size), quantity: r.quantity }))
+    .sort((a, b) => a.size - b.size);
+
+  it('answers CORS preflight without auth', async () => {
+    const res = await handler(makeEvent({ method: 'OPTIONS', path: '/shoes/1' }));
+    expect(res.statusCode).toBe(200);
+  });
+
+  it('rejects callers without the admin group', async () => {
+    const res = await handler(makeEvent({
+      method: 'PUT', path: '/shoes/1', pathParameters: { id: '1' }, body: { name: 'Nope' }, claims: CUSTOMER_CLAIMS,
+    }));
+    expect(res.statusCode).toBe(403);
+    expect(repos.dump().shoes[0].name).toBe('Air Zoom Pegasus');
+  });
+
+  it('returns 404 for other routes', async () => {
+    const res = await handler(makeEvent({ method: 'GET', path: '/shoes/1', pathParameters: { id: '1' }, claims: ADMIN_CLAIMS }));
+    expect(res.statusCode).toBe(404);
+    expect(parseBody(res)).toEqual({ message: 'Route not found.', code: 'NOT_FOUND' });
+  });
+
+  describe('PUT /shoes/{id}', () => {
+    // Seeded shoes are all at version 1
+    const put = (id, body, headers = { 'If-Match': '"v1"' }) => makeEvent({
+      method: 'PUT', path: `/shoes/${id}`, pathParameters: { id: String(id) }, body, claims: ADMIN_CLAIMS, headers,
+    });
+
+    it('updates fields and merges inventory without touching other sizes', async () => {
+      const res = await handler(put(1, {
+        name: 'Pegasus 41',
+        price: 139.99,
+        inventory: [{ size: 10, quantity: 5 }, { size: 11, quantity: 3 }],
+      }));
+
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res)).toMatchObject({ id: 1, name: 'Pegasus 41', brand: 'Nike', price: '139.99' });
+      expect(stockOf(1)).toEqual([
+        { size: 9, quantity: 4 },
+        { size: 10, quantity: 5 },
+        { size: 11, quantity: 3 },
+      ]);
+    });
+
+    it('removes sizes marked with delete: true or quantity: null', async () => {
+      const res = await handler(put(1, { inventory: [{ size: 9, delete: true }, { size: 10, quantity: null }] }));
+      expect(res.statusCode).toBe(200);
+      expect(stockOf(1)).toEqual([]);
+    });
+
+    it('replaces the gallery and keeps image on the primary', async () => {
+      const res = await handler(put(1, {
+        images: [`${CDN}/a.jpg`, { url: `${CDN}/b.jpg`, alt: 'Side', isPrimary: true }],
+      }));
+
+      expect(res.statusCode).toBe(200);
+      const shoe = parseBody(res);
+      expect(shoe.image).toBe(`${CDN}/b.jpg`);
+      expect(shoe.images.map((img) => [img.url, img.isPrimary])).toEqual([
+        [`${CDN}/a.jpg`, false],
+        [`${CDN}/b.jpg`, true],
+      ]);
+    });
+
+    it('moves the gallery primary with a legacy image update', async () => {
+      const res = await handler(put(1, { image: `${CDN}/pegasus-side.jpg` }));
+
+      expect(res.statusCode).toBe(200);
+      const shoe = parseBody(res);
+      expect(shoe.image).toBe(`${CDN}/pegasus-side.jpg`);
+      expect(shoe.images.find((img) => img.isPrimary).url).toBe(`${CDN}/pegasus-side.jpg`);
+      expect(shoe.images.filter((img) => img.isPrimary)).toHaveLength(1);
+    });
+
+    it('clears the image with an empty string and leaves the gallery without a primary', async () => {
+      const res = await handler(put(1, { image: '' }));
+
+      expect(res.statusCode).toBe(200);
+      const shoe = parseBody(res);
+      expect(shoe.image).toBe('');
+      expect(shoe.images.map((img) => [img.url, img.isPrimary])).toEqual([
+        [`${CDN}/pegasus.jpg`, false],
+        [`${CDN}/pegasus-side.jpg`, false],
+      ]);
+      expect(repos.dump().shoes[0].image).toBe('');
+    });
+
+    it('leaves image and gallery alone when image is null', async () => {
+      const shoe = parseBody(await handler(put(1, { image: null, name: 'Pegasus 41' })));
+      expect(shoe.image).toBe(`${CDN}/pegasus.jpg`);
+      expect(shoe.images.find((img) => img.isPrimary).url).toBe(`${CDN}/pegasus.jpg`);
+    });
+
+    it('returns 404 for an unknown shoe', async () => {
+      const res = await handler(put(999, { name: 'Ghost' }));
+      expect(res.statusCode).toBe(404);
+      expect(parseBody(res)).toEqual({ message: 'Shoe not found.', code: 'NOT_FOUND' });
+    });
+
+    it('rejects invalid bodies without writing anything', async () => {
+      const before = repos.dump();
+
+      expect((await handler(put(1, '{not json'))).statusCode).toBe(400);
+
+      const badImages = await handler(put(1, { images: [{ url: `${CDN}/a.jpg`, isPrimary: true }, { url: `${CDN}/b.jpg`, isPrimary: true }] }));
+      expect(badImages.statusCode).toBe(400);
+      expect(parseBody(badImages).errors).toEqual([{ field: 'images', message: 'only one image can have "isPrimary": true' }]);
+
+      expect(repos.dump()).toEqual(before);
+    });
+
+    it('lists every field error at once', async () => {
+      const res = await handler(put(1, {
+        name: '   ',
+        price: 'abc',
+        inventory: [{ size: 9.3, quantity: 2 }, { size: 10, quantity: -1 }, { quantity: 1 }],
+      }));
+
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res)).toEqual({
+        message: 'Request validation failed.',
+        code: 'VALIDATION_ERROR',
+        errors: [
+          { field: 'name', message: 'must not be blank' },
+          { field: 'price', message: 'must be number or null' },
+          { field: 'inventory[0].size', message: 'must be multiple of 0.5' },
+          { field: 'inventory[1].quantity', message: 'must be >= 0' },
+          { field: 'inventory[2].size', message: 'is required' },
+        ],
+      });
+      expect(repos.dump().shoes[0].name).toBe('Air Zoom Pegasus');
+    });
+
+    it('returns the new version and ETag', async () => {
+      const res = await handler(put(1, { name: 'Pegasus 41' }));
+
+      expect(res.headers.ETag).toBe('"v2"');
+      expect(parseBody(res).version).toBe(2);
+    });
+
+    it('returns the same body as GET /shoes/{id} under the same ETag', async () => {
+      const res = await handler(put(1, { price: 139.99, inventory: [{ size: 11, quantity: 1 }] }));
+      const get = await getShoe(makeEvent({ method: 'GET', path: '/shoes/1', pathParameters: { id: '1' } }));
+
+      expect(res.headers.ETag).toBe(get.headers.ETag);
+      expect(parseBody(res)).toEqual(parseBody(get));
+      expect(parseBody(res)).toHaveProperty('imageVariants');
+      expect(parseBody(res).inventory).toContainEqual({ size: 11, quantity: 1 });
+    });
+
+    it('requires If-Match', async () => {
+      const res = await handler(put(1, { name: 'Pegasus 41' }, {}));
+
+      expect(res.statusCode).toBe(428);
+      expect(parseBody(res).code).toBe('PRECONDITION_REQUIRED');
+      expect(repos.dump().shoes[0].name).toBe('Air Zoom Pegasus');
+    });
+
+    it('refuses a stale ETag and returns the current shoe, so a second editor cannot overwrite the first', async () => {
+      expect((await handler(put(1, { name: 'First edit' }))).statusCode).toBe(200);
+
+      const second = await handler(put(1, { name: 'Second edit' }));
+
+      expect(second.statusCode).toBe(412);
+      expect(second.headers.ETag).toBe('"v2"');
+      const body = parseBody(second);
+      expect(body).toMatchObject({ code: 'PRECONDITION_FAILED', current: { id: 1, name: 'First edit', version: 2 } });
+      expect(body.current.inventory).toEqual([{ size: 9, quantity: 4 }, { size: 10, quantity: 2 }]);
+      expect(repos.dump().shoes[0].name).toBe('First edit');
+
+      const retry = await handler(put(1, { name: 'Second edit' }, { 'If-Match': second.headers.ETag }));
+      expect(retry.statusCode).toBe(200);
+      expect(parseBody(retry)).toMatchObject({ name: 'Second edit', version: 3 });
+    });
+
+    it('does not replay a 428 or 412, so the same Idempotency-Key works once If-Match is right', async () => {
+      const key = { 'Idempotency-Key': 'rename-1' };
+
+      expect((await handler(put(1, { name: 'Pegasus 41' }, key))).statusCode).toBe(428);
+      expect((await handler(put(1, { name: 'Pegasus 41' }, { ...key, 'If-Match': '"v7"' }))).statusCode).toBe(412);
+
+      const res = await handler(put(1, { name: 'Pegasus 41' }, { ...key, 'If-Match': '"v1"' }));
+      expect(res.statusCode).toBe(200);
+      expect(res.headers['Idempotent-Replayed']).toBeUndefined();
+      expect(repos.dump().shoes[0]).toMatchObject({ name: 'Pegasus 41', version: 2 });
+
+      const replay = await handler(put(1, { name: 'Pegasus 41' }, { ...key, 'If-Match': '"v1"' }));
+      expect(replay.headers['Idempotent-Replayed']).toBe('true');
+    });
+
+    it('does not accept weak ETags', async () => {
+      const res = await handler(put(1, { name: 'Pegasus 41' }, { 'If-Match': 'W/"v1"' }));
+      expect(res.statusCode).toBe(412);
+    });
+
+    it('accepts numeric strings, so a record read back from the API can be sent as-is', async () => {
+      const res = await handler(put(1, { price: '139.50', inventory: [{ size: '9.5', quantity: '3' }] }));
+
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res).price).toBe('139.50');
+      expect(stockOf(1)).toContainEqual({ size: 9.5, quantity: 3 });
+    });
+
+    it.each([
+      [{ price: true }, [{ field: 'price', message: 'must be number or null' }]],
+      [{ name: true, brand: 1 }, [{ field: 'name', message: 'must be string or null' }, { field: 'brand', message: 'must be string or null' }]],
+      [{ price: '1e3' }, [{ field: 'price', message: 'must be number or null' }]],
+      [{ price: '-5' }, [{ field: 'price', message: 'must be > 0' }]],
+      [{ inventory: [{ size: 9, quantity: false }] }, [{ field: 'inventory[0].quantity', message: 'must be integer or null' }]],
+      [{ inventory: [{ size: 9, quantity: '2.5' }] }, [{ field: 'inventory[0].quantity', message: 'must be integer' }]],
+      [{ images: [123] }, [{ field: 'images[0]', message: 'must be object' }]],
+    ])('does not coerce other types: rejects %j', async (body, errors) => {
+      const res = await handler(put(1, body));
+
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res).errors).toEqual(errors);
+      expect(repos.dump().shoes[0]).toMatchObject({ name: 'Air Zoom Pegasus', brand: 'Nike', version: 1 });
+    });
+  });
+
+  describe('PATCH /shoes/{id}/inventory', () => {
+    const patch = (id, body, pathParameters = { id: String(id) }, headers) => makeEvent({
+      method: 'PATCH', path: `/shoes/${id}/inventory`, pathParameters, body, claims: ADMIN_CLAIMS, headers,
+    });
+
+    it('sets an absolute quantity, creating the size if needed', async () => {
+      const res = await handler(patch(1, { size: 11, quantity: 6 }));
+      expect(res.statusCode).toBe(200);
+      expect(parseBody(res)).toMatchObject({ shoe_id: 1, quantity: 6 });
+      expect(stockOf(1)).toContainEqual({ size: 11, quantity: 6 });
+    });
+
+    it('bumps the shoe version with the stock change', async () => {
+      await handler(patch(1, { size: 9, delta: 1 }));
+      expect(repos.dump().shoes[0].version).toBe(2);
+    });
+
+    it('applies a delta and never goes below zero', async () => {
+      expect(parseBody(await handler(patch(1, { size: 9, delta: 3 }))).quantity).toBe(7);
+      expect(parseBody(await handler(patch(1, { size: 9, delta: -20 }))).quantity).toBe(0);
+    });
+
+    it('accepts the delta as a numeric string, like quantity', async () => {
+      expect(parseBody(await handler(patch(1, { size: '9', delta: '-1' }))).quantity).toBe(3);
+      expect(parseBody(await handler(patch(1, { size: 9, quantity: '5' }))).quantity).toBe(5);
+    });
+
+    it('takes the shoe id from the path when pathParameters is missing', async () => {
+      const res = await handler(patch(2, { size: 10, delta: 1 }, undefined));
+      expect(res.statusCode).toBe(200);
+      expect(stockOf(2)).toEqual([{ size: 10, quantity: 2 }]);
+    });
+
+    it('refuses to decrement a size that has no row as out of stock', async () => {
+      const res = await handler(patch(1, { size: 12, delta: -1 }));
+      expect(res.statusCode).toBe(409);
+      expect(parseBody(res)).toEqual({ message: 'Cannot decrement: inventory row does not exist for this size.', code: 'OUT_OF_STOCK' });
+    });
+
+    it.each([
+      [{ quantity: 1 }, [{ field: 'size', message: 'is required' }]],
+      [{ size: 9 }, [{ field: 'quantity', message: 'either "quantity" or "delta" is required' }]],
+      [{ size: 9, quantity: 1, delta: 1 }, [{ field: 'delta', message: 'must not be sent together with "quantity"' }]],
+      [{ size: 9, quantity: -2 }, [{ field: 'quantity', message: 'must be >= 0' }]],
+      [{ size: 9.25, delta: 'lots' }, [{ field: 'size', message: 'must be multiple of 0.5' }, { field: 'delta', message: 'must be integer or null' }]],
+      [{ size: 9, delta: '1.5' }, [{ field: 'delta', message: 'must be integer' }]],
+      [{ size: 9, quantity: true }, [{ field: 'quantity', message: 'must be integer or null' }]],
+    ])('rejects %j', async (body, errors) => {
+      const res = await handler(patch(1, body));
+      expect(res.statusCode).toBe(400);
+      expect(parseBody(res)).toEqual({ message: 'Request validation failed.', code: 'VALIDATION_ERROR', errors });
+    });
+
+    it('returns 404 for an unknown shoe', async () => {
+      const res = await handler(patch(999, { size: 9, quantity: 1 }));
+      expect(res.statusCode).toBe(404);
+    });
+
+    it('applies a retried delta once per Idempotency-Key', async () => {
+      const restock = () => handler(patch(1, { size: 9, delta: 2 }, undefined, { 'idempotency-key': 'restock-1' }));
+
+      const first = await restock();
+      const retry = await restock();
+
+      expect(parseBody(first).quantity).toBe(6);
+      expect(retry.body).toBe(first.body);
+      expect(retry.headers['Idempotent-Replayed']).toBe('true');
+      expect(stockOf(1)).toContainEqual({ size: 9, quantity: 6 });
+    });
+
+    it('rolls the write back when storing the response fails, so the retry applies it exactly once', async () => {
+      const restock = () => handler(patch(1, { size: 9, delta: 2 }, undefined, { 'Idempotency-Key': 'restock-3' }));
+      jest.spyOn(repos.idempotency, 'complete').mockRejectedValueOnce(new Error('ER_LOCK_WAIT_TIMEOUT'));
+
+      const failed = await restock();
+      expect(failed.statusCode).toBe(500);
+      expect(stockOf(1)).toContainEqual({ size: 9, quantity: 4 });
+      expect(repos.dump().shoes[0].version).toBe(1);
+
+      const retry = await restock();
+      expect(retry.statusCode).toBe(200);
+      expect(retry.headers['Idempotent-Replayed']).toBeUndefined();
+      expect(stockOf(1)).toContainEqual({ size: 9, quantity: 6 });
+      expect(parseBody(await restock()).quantity).toBe(6);
+    });
+
+    it('runs the request again once the key has expired', async () => {
+      const now = Date.now();
+      const restock = () => handler(patch(1, { size: 9, delta: 2 }, undefined, { 'Idempotency-Key': 'restock-2' }));
+
+      await restock();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 25 * 3600 * 1000);
+      const later = await restock();
+
+      expect(later.headers['Idempotent-Replayed']).toBeUndefined();
+      expect(stockOf(1)).toContainEqual({ size: 9, quantity: 8 });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+// src/handlers/brands.js
+'use strict';
+
+const { getMethod, getPath, getClaims, isAdmin, resp, cacheableResp } = require('../lib/http');
+const { errorResp, forbidden, internalError } = require('../lib/errors');
+const { compileSchema, validateBody, validationFailed } = require('../lib/validation');
+const { BRAND_RENAME, BRAND_MERGE } = require('../lib/schemas');
+const { getRepositories } = require('../lib/repositories');
+
+function decodePathParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/** ---------- GET /brands ---------- **/
+async function handleListBrands(event) {
+  const rows = await getRepositories().shoes.listBrands();
+
+  const brands = rows.map((r) => ({
+    brand: r.brand,
+    productCount: Number(r.productCount),
+    inStockCount: Number(r.inStockCount),
+    minPrice: r.minPrice,
+    maxPrice: r.maxPrice,
+  }));
+
+  return cacheableResp(event, { brands });
+}
+
+/** ---------- PUT /brands/{brand}  body: { name } ---------- **/
+const validateRename = compileSchema(BRAND_RENAME);
+
+async function handleRenameBrand(event, brandParam) {
+  const { body, response } = validateBody(event, validateRename);
+  if (response) return response;
+
+  // The schema checks type, length and blank names; the path segment is only looked up
+  const from = decodePathParam(brandParam).trim();
+  const to = body.name.trim();
+  if (!from) return errorResp('VALIDATION_ERROR', 'Brand is required.');
+  if (from === to) return validationFailed([{ field: 'name', message: 'must differ from the current brand' }]);
+
+  // Check and rename in one transaction, so two renames onto the same name cannot both pass the check
+  return getRepositories().transaction(async ({ shoes }) => {
+    // Renaming onto another existing brand would silently merge them; make that explicit
+    const exists = await shoes.brandExists(to);
+    if (exists && from.toLowerCase() !== to.toLowerCase()) {
+      return errorResp('CONFLICT', `Brand "${to}" already exists; use POST /brands/merge to combine brands.`);
+    }
+
+    const updated = await shoes.reassignBrands([from], to);
+    if (!updated) return errorResp('NOT_FOUND', 'Brand not found.');
+    return resp(200, { brand: to, renamedFrom: from, updated });
+  });
+}
+
+/** ---------- POST /brands/merge  body: { from: [..], into } ---------- **/
+const validateMerge = compileSchema(BRAND_MERGE);
+
+async function handleMergeBrands(event) {
+  const { body, response } = validateBody(event, validateMerge);
+  if (response) return response;
+
+  const into = body.into.trim();
+  const from = [];
+  for (const value of body.from) {
+    const brand = value.trim();
+    // Case-insensitive like MySQL's brand IN (...), so "nike" never re-touches the rows of "Nike"
+    const key = brand.toLowerCase();
+    if (key !== into.toLowerCase() && !from.some((b) => b.toLowerCase() === key)) from.push(brand);
+  }
+  if (!from.length) return validationFailed([{ field: 'from', message: 'must name at least one brand other than "into"' }]);
+
+  // One UPDATE: every shoe moves or none does
+  const updated = await getRepositories().shoes.reassignBrands(from, into);
+  if (!updated) return errorResp('NOT_FOUND', 'None of the "from" brands were found.');
+  return resp(200, { brand: into, mergedFrom: from, updated });
+}
+
+/** ---------- Lambda Handler ---------- **/
+exports.handler = async (event) => {
+  try {
+    const method = getMethod(event);
+    if (method === 'OPTIONS') return resp(200, null);
+
+    const path = getPath(event);
+
+    // GET /brands (public)
+    if (method === 'GET' && /\/brands$/.test(path)) {
+      return await handleListBrands(event);
+    }
+
+    // Everything else edits shoes: admins only
+    const claims = getClaims(event);
+    if (!isAdmin(claims)) return forbidden();
+
+    // POST /brands/merge
+    if (method === 'POST' && /\/brands\/merge$/.test(path)) {
+      return await handleMergeBrands(event);
+    }
+
+    // PUT /brands/{brand}
+    if (method === 'PUT' && /\/brands\/[^/]+$/.test(path)) {
+      const brandParam = event.pathParameters?.brand || path.split('/').pop();
+      return await handleRenameBrand(event, brandParam);
+    }
+
+    return errorResp('NOT_FOUND', 'Route not found.');
+
+  } catch (err) {
+    return internalError(err);
+  }
+};
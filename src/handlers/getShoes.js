@@ -1,145 +1,283 @@
-const mysql = require('mysql2/promise');
+// src/handlers/getShoes.js
+'use strict';
 
-let cachedConnection = null;
-let cachedSecret = null;
+const { cacheableResp, getPath } = require('../lib/http');
+const { errorResp, internalError } = require('../lib/errors');
+const { presentShoe } = require('../lib/images');
+const { parseProjection } = require('../lib/projection');
+const { getRepositories, SORTS } = require('../lib/repositories');
 
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type,Authorization",
-  "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
-  "Content-Type": "application/json"
-};
+/* -------------------- Pagination helpers -------------------- */
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Cursors are opaque to clients: base64url-encoded JSON describing where the next page starts
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return payload && typeof payload === 'object' ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function parseLimit(raw) {
+  if (raw == null || raw === '') return DEFAULT_PAGE_SIZE;
+  const limit = Number(raw);
+  if (!Number.isInteger(limit) || limit < 1) return null;
+  return Math.min(limit, MAX_PAGE_SIZE);
+}
 
-async function getSecret() {
-  const mode = process.env.CONFIG_SOURCE;
-  console.log(`CONFIG_SOURCE=${mode}`);
-
-  // Everyday (Env) mode: NO AWS calls
-  if (mode !== 'SecretsManager') {
-    return {
-      host: process.env.DB_HOST,
-      username: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-      dbname: process.env.DB_NAME,
-    };
+/* -------------------- Filter helpers -------------------- */
+// Accepts repeated params (?brand=A&brand=B) and comma lists (?brand=A,B)
+function listParam(event, name) {
+  const multi = event.multiValueQueryStringParameters?.[name];
+  const raw = Array.isArray(multi) ? multi : [event.queryStringParameters?.[name]];
+  return raw
+    .filter((v) => v != null)
+    .flatMap((v) => String(v).split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+function parseNumberParam(raw) {
+  if (raw == null || raw === '') return undefined;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Listing query params -> repository filters ({ brands, minPrice, maxPrice, size, inStock }).
+ * Returns the filters or { error } for a 400.
+ */
+function parseFilters(event) {
+  const queryParams = event.queryStringParameters || {};
+  const filters = {};
+
+  const brands = listParam(event, 'brand');
+  if (brands.length) filters.brands = brands;
+
+  const minPrice = parseNumberParam(queryParams.minPrice);
+  const maxPrice = parseNumberParam(queryParams.maxPrice);
+  if (minPrice === null || (minPrice !== undefined && minPrice < 0)) {
+    return { error: '"minPrice" must be a non-negative number.' };
+  }
+  if (maxPrice === null || (maxPrice !== undefined && maxPrice < 0)) {
+    return { error: '"maxPrice" must be a non-negative number.' };
+  }
+  if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice) {
+    return { error: '"minPrice" cannot be greater than "maxPrice".' };
   }
+  if (minPrice !== undefined) filters.minPrice = minPrice;
+  if (maxPrice !== undefined) filters.maxPrice = maxPrice;
+
+  // Only shoes that can actually be bought in this size
+  const size = parseNumberParam(queryParams.size);
+  if (size === null || (size !== undefined && size <= 0)) {
+    return { error: '"size" must be a positive number.' };
+  }
+  if (size !== undefined) filters.size = size;
+
+  if (queryParams.inStock != null && queryParams.inStock !== '') {
+    const inStock = String(queryParams.inStock).toLowerCase();
+    if (inStock !== 'true' && inStock !== 'false') {
+      return { error: '"inStock" must be "true" or "false".' };
+    }
+    if (inStock === 'true') filters.inStock = true;
+  }
+
+  return filters;
+}
+
+function badRequest(message) {
+  return errorResp('VALIDATION_ERROR', message);
+}
+
+/* -------------------- Facet helpers -------------------- */
+// Upper edges of the price buckets: "50,100,200" -> [0,50) [50,100) [100,200) [200,+inf)
+const DEFAULT_PRICE_BUCKETS = process.env.PRICE_FACET_BUCKETS || '50,100,150,200';
+const MAX_PRICE_BUCKETS = 10;
+
+function parsePriceBuckets(raw) {
+  const edges = String(raw).split(',').map((v) => v.trim()).filter(Boolean).map(Number);
+  if (!edges.length || edges.length > MAX_PRICE_BUCKETS) return null;
+  for (let i = 0; i < edges.length; i++) {
+    if (!Number.isFinite(edges[i]) || edges[i] <= 0) return null;
+    if (i > 0 && edges[i] <= edges[i - 1]) return null;
+  }
+  return edges;
+}
+
+/* -------------------- Search helpers -------------------- */
+const MIN_SEARCH_TERM_LENGTH = 2;
+
+/**
+ * Free text -> search terms. Every term is required and matched as a word prefix,
+ * so "air zo" finds "Air Zoom"; punctuation and boolean operators are dropped.
+ */
+function searchTerms(q) {
+  return String(q)
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((t) => t.length >= MIN_SEARCH_TERM_LENGTH);
+}
 
-  if (cachedSecret) return cachedSecret;
+/* -------------------- GET /shoes?ids=1,5,9 -------------------- */
+const MAX_BATCH_IDS = 50;
 
-  // Demo mode: lazy-load SM client so Env mode never bundles/calls it
-  const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
+// Cart/wishlist lookups: one query for many ids, returned in request order
+async function handleBatch(event) {
+  const queryParams = event.queryStringParameters || {};
 
-  const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
-  const secretName = process.env.SECRET_NAME || 'admin_cred';
+  if (queryParams.cursor) return badRequest('"cursor" cannot be combined with "ids".');
 
-  console.log('Retrieving database credentials from Secrets Manager...');
-  const client = new SecretsManagerClient({ region });
-  const response = await client.send(new GetSecretValueCommand({SecretId: secretName, VersionStage: "AWSCURRENT",}));
-  console.log('Successfully retrieved secret from Secrets Manager.');
+  const rawIds = listParam(event, 'ids');
+  const ids = [];
+  for (const raw of rawIds) {
+    const id = Number(raw);
+    if (!Number.isInteger(id) || id < 1) return badRequest(`Invalid id "${raw}" in "ids".`);
+    if (!ids.includes(id)) ids.push(id);
+  }
+  if (!ids.length) return badRequest('"ids" must list at least one shoe ID.');
+  if (ids.length > MAX_BATCH_IDS) return badRequest(`"ids" accepts at most ${MAX_BATCH_IDS} IDs.`);
+
+  const projection = parseProjection(queryParams);
+  if (projection.error) return badRequest(projection.error);
+
+  const { shoes } = getRepositories();
+  const found = (await shoes.getByIds(ids, projection)).map(presentShoe);
+  const byId = new Map(found.map((shoe) => [Number(shoe.id), shoe]));
 
-  // Normalize possible key variants:
-  const s = JSON.parse(response.SecretString);
-  cachedSecret = {
-    host: s.host || s.hostname,
-    username: s.username || s.user,
-    password: s.password,
-    dbname: s.dbname || s.database,
-  };
-  return cachedSecret;
+  return cacheableResp(event, {
+    items: ids.filter((id) => byId.has(id)).map((id) => byId.get(id)),
+    notFound: ids.filter((id) => !byId.has(id)),
+  });
 }
 
-async function getConnection() {
-  if (cachedConnection && cachedConnection.connection && cachedConnection.connection.state !== 'disconnected') {
-    console.log('Reusing existing database connection.');
-    return cachedConnection.connection;
+/* -------------------- GET /shoes -------------------- */
+async function handleList(event) {
+  const queryParams = event.queryStringParameters || {};
+
+  const limit = parseLimit(queryParams.limit);
+  if (limit === null) return badRequest(`"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+
+  const sortName = queryParams.sort || 'default';
+  const sort = Object.prototype.hasOwnProperty.call(SORTS, sortName) ? SORTS[sortName] : null;
+  if (!sort) {
+    return badRequest(`"sort" must be one of: ${Object.keys(SORTS).filter((k) => k !== 'default').join(', ')}.`);
+  }
+
+  let cursor = null;
+  if (queryParams.cursor) {
+    cursor = decodeCursor(queryParams.cursor);
+    if (!cursor || !Number.isInteger(cursor.id)) return badRequest('Invalid "cursor".');
+    if (cursor.sort !== sortName) return badRequest('"cursor" was issued for a different sort order.');
+    if (sort.field && cursor.v == null) return badRequest('Invalid "cursor".');
   }
 
-  const secret = await getSecret();
+  const projection = parseProjection(queryParams);
+  if (projection.error) return badRequest(projection.error);
+
+  const filters = parseFilters(event);
+  if (filters.error) return badRequest(filters.error);
 
-  console.log('Creating new database connection...');
-  const connection = await mysql.createConnection({
-    host: secret.host,
-    user: secret.username,
-    password: secret.password,
-    database: secret.dbname,
-    connectTimeout: 30000 // Optional but good to keep
+  const { shoes } = getRepositories();
+  const page = await shoes.list({
+    filters,
+    sort: sortName,
+    after: cursor && { v: cursor.v, id: cursor.id },
+    limit,
+    projection,
   });
 
-  cachedConnection = { connection };
-  return connection;
+  const items = page.items.map(presentShoe);
+  const nextCursor = page.next ? encodeCursor({ sort: sortName, ...page.next }) : null;
+
+  return cacheableResp(event, { items, nextCursor });
 }
 
-exports.handler = async (event) => {
-  let connection;
+/* -------------------- GET /shoes/search -------------------- */
+// Relevance-ranked search over name + brand (requires the FULLTEXT index from the README).
+// Scores are not stable keys, so search pages by offset carried inside the cursor.
+async function handleSearch(event) {
+  const queryParams = event.queryStringParameters || {};
 
-  try {
-    console.log('Lambda function started for GET all shoes (with inventory).');
+  const q = String(queryParams.q || '').trim();
+  const terms = searchTerms(q);
+  if (!terms.length) {
+    return badRequest(`"q" must contain at least one word of ${MIN_SEARCH_TERM_LENGTH}+ characters.`);
+  }
+
+  const limit = parseLimit(queryParams.limit);
+  if (limit === null) return badRequest(`"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+
+  let offset = 0;
+  if (queryParams.cursor) {
+    const cursor = decodeCursor(queryParams.cursor);
+    if (!cursor || !Number.isInteger(cursor.offset) || cursor.offset < 0) return badRequest('Invalid "cursor".');
+    if (cursor.q !== q) return badRequest('"cursor" was issued for a different search.');
+    offset = cursor.offset;
+  }
 
-    connection = await getConnection();
+  const projection = parseProjection(queryParams);
+  if (projection.error) return badRequest(projection.error);
 
-    const queryParams = event.queryStringParameters;
-    let whereClause = '';
-    let values = [];
+  const filters = parseFilters(event);
+  if (filters.error) return badRequest(filters.error);
 
-    if (queryParams && queryParams.brand) {
-      whereClause = 'WHERE s.brand = ?';
-      values.push(queryParams.brand);
+  const { shoes } = getRepositories();
+  const { items: records, hasMore } = await shoes.search({ terms, filters, offset, limit, projection });
+  const items = records.map(presentShoe);
+  const nextCursor = hasMore ? encodeCursor({ q, offset: offset + limit }) : null;
+
+  return cacheableResp(event, { items, nextCursor });
+}
+
+/* -------------------- GET /shoes/facets -------------------- */
+// Counts per brand / available size / price bucket for the current filters.
+// Each facet ignores its own filter so the UI can offer the other choices
+// (e.g. brand counts stay visible after picking one brand).
+async function handleFacets(event) {
+  const queryParams = event.queryStringParameters || {};
+
+  const priceEdges = parsePriceBuckets(queryParams.priceBuckets || DEFAULT_PRICE_BUCKETS);
+  if (!priceEdges) {
+    return badRequest(`"priceBuckets" must be up to ${MAX_PRICE_BUCKETS} increasing positive numbers, comma-separated.`);
+  }
+
+  const filters = parseFilters(event);
+  if (filters.error) return badRequest(filters.error);
+
+  const { shoes } = getRepositories();
+  return cacheableResp(event, await shoes.facets({ filters, priceEdges }));
+}
+
+exports.handler = async (event) => {
+  try {
+    console.log('Lambda function started for GET all shoes (with inventory).');
+
+    const path = getPath(event);
+    if (/\/shoes\/search$/.test(path)) {
+      return await handleSearch(event);
+    }
+    if (/\/shoes\/facets$/.test(path)) {
+      return await handleFacets(event);
     }
 
-    const query = `
-      SELECT 
-        s.id, s.name, s.brand, s.price, s.image,
-        i.size, i.quantity
-      FROM shoes s
-      LEFT JOIN shoe_inventory i ON s.id = i.shoe_id
-      ${whereClause}
-      ORDER BY s.id, i.size
-    `;
-
-    console.log('Executing query:', query, 'with values:', values);
-    const [rows] = await connection.query(query, values);
-
-    // Group inventory under each shoe
-    const shoesMap = new Map();
-
-    for (const row of rows) {
-      const shoeId = row.id;
-
-      if (!shoesMap.has(shoeId)) {
-        shoesMap.set(shoeId, {
-          id: row.id,
-          name: row.name,
-          brand: row.brand,
-          price: row.price,
-          image: row.image,
-          inventory: []
-        });
-      }
-
-      if (row.size !== null && row.quantity !== null) {
-        shoesMap.get(shoeId).inventory.push({
-          size: parseFloat(row.size),
-          quantity: row.quantity
-        });
-      }
+    const queryParams = event.queryStringParameters || {};
+    if (queryParams.ids != null) {
+      return await handleBatch(event);
     }
 
-    return {
-      statusCode: 200,
-      headers: CORS_HEADERS, 
-      body: JSON.stringify(Array.from(shoesMap.values())),
-    };
+    return await handleList(event);
 
   } catch (error) {
-    console.error('Error fetching shoes with inventory:', error);
-    return {
-      statusCode: 500,
-      headers: CORS_HEADERS, 
-      body: JSON.stringify({ message: 'Error fetching shoes.', error: error.message }),
-    };
+    return internalError(error, 'Error fetching shoes.');
   } finally {
-    console.log('Lambda invocation complete. DB connection remains open for reuse.');
+    console.log('Lambda invocation complete. Pooled DB connections stay open for reuse.');
   }
 };
-
-
@@ -0,0 +1,356 @@
+// src/handlers/imageAdmin.js
+'use strict';
+
+const crypto = require('crypto');
+const {
+  S3Client,
+  PutObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { getMethod, getPath, getClaims, isAdmin, resp } = require('../lib/http');
+const { errorResp, forbidden, internalError } = require('../lib/errors');
+const { compileSchema, validateBody, validationFailed } = require('../lib/validation');
+const { IMAGE_UPLOAD_URL, IMAGE_CLEANUP } = require('../lib/schemas');
+const { getRepositories } = require('../lib/repositories');
+const {
+  REGION,
+  IMAGES_BUCKET: BUCKET_NAME,
+  IMAGES_PREFIX: FOLDER_PREFIX,
+  publicUrl,
+  keyFromImageUrl,
+  safeDecode,
+} = require('../lib/images');
+
+const MAX_UPLOAD_BYTES = Number(process.env.IMAGE_MAX_UPLOAD_BYTES || 5 * 1024 * 1024);
+const UPLOAD_URL_TTL_SECONDS = 300;
+
+// Allowed upload types -> file extension used in the generated key
+const CONTENT_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/gif': 'gif',
+};
+
+// WHEN_REQUIRED: otherwise presigned PUTs carry the CRC32 of an empty body and S3 rejects every real upload
+const s3 = new S3Client({ region: REGION, requestChecksumCalculation: 'WHEN_REQUIRED' });
+
+// Keep a readable hint of the original name; the UUID guarantees uniqueness
+function slugify(filename) {
+  return String(filename || '')
+    .replace(/\.[^.]*$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 40);
+}
+
+/* -------------------- POST /images/upload-url -------------------- */
+/**
+ * Body: { contentType, size, filename? }
+ * Returns a presigned PUT URL; the signature pins Content-Type and Content-Length,
+ * so S3 rejects an upload that differs from what was validated here.
+ */
+const validateUploadUrl = compileSchema(IMAGE_UPLOAD_URL);
+
+async function handleUploadUrl(event) {
+  const { body, response } = validateBody(event, validateUploadUrl);
+  if (response) return response;
+
+  // Allowed types and the size cap are deployment settings, so they are checked here rather than in the schema
+  const contentType = body.contentType.toLowerCase();
+  const ext = CONTENT_TYPES[contentType];
+  const { size } = body;
+  const errors = [];
+  if (!ext) errors.push({ field: 'contentType', message: `must be one of: ${Object.keys(CONTENT_TYPES).join(', ')}` });
+  if (size > MAX_UPLOAD_BYTES) errors.push({ field: 'size', message: `must be at most ${MAX_UPLOAD_BYTES} bytes` });
+  if (errors.length) return validationFailed(errors);
+
+  const slug = slugify(body.filename);
+  const key = `${FOLDER_PREFIX}${crypto.randomUUID()}${slug ? `-${slug}` : ''}.${ext}`;
+
+  const uploadUrl = await getSignedUrl(
+    s3,
+    new PutObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      ContentType: contentType,
+      ContentLength: size,
+    }),
+    // content-type is not signed by default; without it a client could store text/html in the public bucket
+    { expiresIn: UPLOAD_URL_TTL_SECONDS, signableHeaders: new Set(['content-type']) }
+  );
+
+  return resp(200, {
+    uploadUrl,
+    method: 'PUT',
+    headers: { 'Content-Type': contentType },
+    expiresIn: UPLOAD_URL_TTL_SECONDS,
+    key,
+    publicUrl: publicUrl(key),
+  });
+}
+
+async function listAllImageObjects() {
+  const objects = [];
+  let continuationToken;
+  do {
+    const response = await s3.send(new ListObjectsV2Command({
+      Bucket: BUCKET_NAME,
+      Prefix: FOLDER_PREFIX,
+      ContinuationToken: continuationToken,
+    }));
+    for (const obj of response.Contents || []) {
+      if (!obj.Key.endsWith('/')) objects.push(obj);
+    }
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+  return objects;
+}
+
+/* -------------------- GET|POST /images/report -------------------- */
+// Freshly uploaded images are not yet saved on a shoe; never treat them as deletable
+const DEFAULT_ORPHAN_MIN_AGE_MINUTES = 60;
+
+/**
+ * Cross-reference bucket objects with shoes.image and shoe_images.url:
+ *   orphans        objects under the prefix that no shoe or gallery references
+ *   missing        shoes whose image maps to a key that does not exist
+ *   noImage        shoes with an empty image
+ *   external       shoes whose image is hosted outside this bucket (not checked)
+ */
+async function buildImageReport() {
+  const [objects, { shoes, gallery: galleryRows }] = await Promise.all([
+    listAllImageObjects(),
+    getRepositories().shoes.listImageReferences(),
+  ]);
+
+  const existingKeys = new Set(objects.map((o) => o.Key));
+  const referencedKeys = new Set();
+  const missing = [];
+  const noImage = [];
+  const external = [];
+
+  for (const shoe of shoes) {
+    if (!shoe.image || !String(shoe.image).trim()) {
+      noImage.push({ id: shoe.id, name: shoe.name });
+      continue;
+    }
+    const key = keyFromImageUrl(shoe.image);
+    if (!key) {
+      external.push({ id: shoe.id, name: shoe.name, image: shoe.image });
+      continue;
+    }
+    referencedKeys.add(key);
+    if (!existingKeys.has(key)) missing.push({ id: shoe.id, name: shoe.name, image: shoe.image, key });
+  }
+
+  // Gallery images count as references too; the primary usually duplicates shoes.image
+  const reported = new Set(missing.map((m) => `${m.id}|${m.key}`));
+  for (const row of galleryRows) {
+    const key = keyFromImageUrl(row.url);
+    if (!key) continue;
+    referencedKeys.add(key);
+    if (!existingKeys.has(key) && !reported.has(`${row.shoe_id}|${key}`)) {
+      reported.add(`${row.shoe_id}|${key}`);
+      missing.push({ id: row.shoe_id, name: row.name, image: row.url, key, gallery: true });
+    }
+  }
+
+  const orphans = objects
+    .filter((o) => !referencedKeys.has(o.Key))
+    .map((o) => ({
+      key: o.Key,
+      url: publicUrl(o.Key),
+      size: o.Size,
+      lastModified: o.LastModified ? new Date(o.LastModified).toISOString() : null,
+    }));
+
+  return {
+    totals: { images: objects.length, shoes: shoes.length },
+    orphans,
+    missing,
+    noImage,
+    external,
+  };
+}
+
+async function deleteKeys(keys) {
+  const deleted = [];
+  const errors = [];
+  for (let i = 0; i < keys.length; i += 1000) {
+    const batch = keys.slice(i, i + 1000);
+    const response = await s3.send(new DeleteObjectsCommand({
+      Bucket: BUCKET_NAME,
+      Delete: { Objects: batch.map((Key) => ({ Key })), Quiet: false },
+    }));
+    for (const d of response.Deleted || []) deleted.push(d.Key);
+    for (const e of response.Errors || []) errors.push({ key: e.Key, code: e.Code });
+  }
+  return { deleted, errors };
+}
+
+// GET: report only. POST { deleteOrphans: true, minAgeMinutes? }: report, then delete old-enough orphans.
+const validateCleanup = compileSchema(IMAGE_CLEANUP);
+
+async function handleReport(event, method) {
+  if (method === 'GET') return resp(200, await buildImageReport());
+
+  const { body, response } = validateBody(event, validateCleanup);
+  if (response) return response;
+  if (body.deleteOrphans !== true) {
+    return errorResp('VALIDATION_ERROR', 'Send { "deleteOrphans": true } to delete orphaned images, or use GET for the report.');
+  }
+
+  const minAgeMinutes = body.minAgeMinutes == null ? DEFAULT_ORPHAN_MIN_AGE_MINUTES : body.minAgeMinutes;
+
+  const report = await buildImageReport();
+  const cutoff = Date.now() - minAgeMinutes * 60 * 1000;
+  const deletable = report.orphans
+    .filter((o) => o.lastModified && Date.parse(o.lastModified) <= cutoff)
+    .map((o) => o.key);
+
+  console.log(`Deleting ${deletable.length} orphaned image(s) older than ${minAgeMinutes} minute(s).`);
+  const { deleted, errors } = await deleteKeys(deletable);
+  const deletedSet = new Set(deleted);
+
+  return resp(200, {
+    ...report,
+    orphans: report.orphans.filter((o) => !deletedSet.has(o.key)),
+    deleted,
+    deleteErrors: errors,
+  });
+}
+
+/* -------------------- DELETE /images/{key+}?force=true -------------------- */
+// Path value -> bucket key under FOLDER_PREFIX ("abc.jpg" and "images/abc.jpg" both work), or null
+function toImageKey(rawKey) {
+  const key = safeDecode(String(rawKey || '')).replace(/^\/+/, '');
+  if (!key || key.endsWith('/') || key.split('/').includes('..')) return null;
+  return key.startsWith(FOLDER_PREFIX) ? key : `${FOLDER_PREFIX}${key}`;
+}
+
+async function objectExists(key) {
+  try {
+    await s3.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+    return true;
+  } catch (err) {
+    if (err?.name === 'NotFound' || err?.$metadata?.httpStatusCode === 404) return false;
+    throw err;
+  }
+}
+
+/**
+ * Shoes and gallery rows whose URL resolves to `key`. The repository narrows the scan to URLs
+ * ending in the key (raw or URL-encoded); keyFromImageUrl makes the final call.
+ */
+async function findReferences(shoesRepo, key) {
+  const refs = await shoesRepo.findImageReferences([...new Set([key, encodeURI(key)])]);
+  return {
+    shoes: refs.shoes.filter((r) => keyFromImageUrl(r.image) === key),
+    gallery: refs.gallery.filter((r) => keyFromImageUrl(r.url) === key),
+  };
+}
+
+/**
+ * Refuses (409) while any shoe or gallery image still uses the object. With force=true the
+ * references are removed in the same transaction: gallery rows are dropped and affected shoes
+ * fall back to their next gallery image as primary (or an empty image). The S3 delete runs
+ * before COMMIT so a failed delete leaves the database untouched.
+ */
+async function handleDeleteImage(event, rawKey) {
+  const key = toImageKey(rawKey);
+  if (!key) return errorResp('VALIDATION_ERROR', 'A valid image key is required.');
+
+  const force = String(event.queryStringParameters?.force || '').toLowerCase() === 'true';
+
+  if (!(await objectExists(key))) return errorResp('NOT_FOUND', 'Image not found.');
+
+  return getRepositories().transaction(async ({ shoes: repo }) => {
+    const refs = await findReferences(repo, key);
+    const shoeIds = [...new Set([...refs.shoes.map((r) => r.id), ...refs.gallery.map((r) => r.shoe_id)])];
+
+    if (shoeIds.length && !force) {
+      return errorResp('CONFLICT', 'Image is still referenced by shoes; retry with force=true to clear those references.', {
+        key,
+        referencedBy: shoeIds,
+      });
+    }
+
+    const affectedShoes = [];
+    if (shoeIds.length) {
+      await repo.removeGalleryImages(refs.gallery.map((r) => r.id));
+
+      // Promote the first remaining gallery image wherever the primary/legacy image was removed
+      const remaining = await repo.listGalleryRows(shoeIds);
+      const shoes = await repo.getByIds(shoeIds, { fields: ['id', 'name', 'image'], withInventory: false, withImages: false });
+
+      for (const shoe of shoes) {
+        const gallery = remaining.filter((r) => r.shoe_id === shoe.id);
+        const imageCleared = keyFromImageUrl(shoe.image) === key;
+        let primary = gallery.find((r) => r.isPrimary);
+        let promoted = false;
+        if (!primary && gallery.length) {
+          primary = gallery[0];
+          promoted = true;
+          await repo.markPrimaryImage(primary.id);
+        }
+
+        // shoes.image mirrors the gallery primary, so a promotion moves it too
+        const image = imageCleared || promoted ? (primary ? primary.url : '') : shoe.image;
+        // One update per shoe: it also bumps the version, since the gallery changed either way
+        await repo.update(shoe.id, imageCleared || promoted ? { image } : {});
+
+        affectedShoes.push({
+          id: shoe.id,
+          name: shoe.name,
+          imageCleared,
+          galleryImagesRemoved: refs.gallery.filter((r) => r.shoe_id === shoe.id).length,
+          image,
+        });
+      }
+    }
+
+    await s3.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+
+    console.log(`Deleted image ${key}; cleared references on ${affectedShoes.length} shoe(s).`);
+    return resp(200, { key, deleted: true, affectedShoes });
+  });
+}
+
+/* -------------------- Main handler: route by method+path -------------------- */
+exports.handler = async (event) => {
+  try {
+    const method = getMethod(event);
+    if (method === 'OPTIONS') return resp(200, null);
+
+    const claims = getClaims(event);
+    if (!isAdmin(claims)) return forbidden();
+
+    const path = getPath(event);
+
+    // POST /images/upload-url
+    if (method === 'POST' && /\/images\/upload-url$/.test(path)) {
+      return await handleUploadUrl(event);
+    }
+
+    // GET|POST /images/report
+    if ((method === 'GET' || method === 'POST') && /\/images\/report$/.test(path)) {
+      return await handleReport(event, method);
+    }
+
+    // DELETE /images/{key+}
+    if (method === 'DELETE' && /\/images\/.+$/.test(path)) {
+      const rawKey = event.pathParameters?.key || path.replace(/^.*?\/images\//, '');
+      return await handleDeleteImage(event, rawKey);
+    }
+
+    return errorResp('NOT_FOUND', 'Route not found.');
+  } catch (err) {
+    return internalError(err);
+  }
+};
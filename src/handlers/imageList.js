@@ -1,50 +1,186 @@
 const { S3Client, ListObjectsV2Command } = require("@aws-sdk/client-s3");
 
-const REGION = "us-east-1";
-const BUCKET_NAME = "sneakersbucket-publicfiles";
-const FOLDER_PREFIX = "images/";
-const CORS_HEADERS = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type,Authorization",
-  "Access-Control-Allow-Methods": "GET,POST,PUT,DELETE,OPTIONS",
-  "Content-Type": "application/json"
-};
+const { resp } = require("../lib/http");
+const { errorResp, internalError } = require("../lib/errors");
+const { REGION, IMAGES_BUCKET: BUCKET_NAME, IMAGES_PREFIX: FOLDER_PREFIX, publicUrl } = require("../lib/images");
 
 const s3 = new S3Client({ region: REGION });
 
-exports.handler = async () => {
+// One S3 page, which is what GET /images returned before it was paginated
+const DEFAULT_PAGE_SIZE = 1000;
+const MAX_PAGE_SIZE = 1000;
+// Date sorts list the whole prefix on every page (S3 only lists by key); refuse beyond this many objects
+const MAX_DATE_SORT_OBJECTS = Number(process.env.IMAGE_DATE_SORT_MAX_OBJECTS || 10000);
+
+// ListObjectsV2 does not return Content-Type; infer it from the extension instead of a HEAD per object
+const CONTENT_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  gif: "image/gif",
+  avif: "image/avif",
+  svg: "image/svg+xml",
+};
+
+const SORTS = ["key", "newest", "oldest"];
+
+function badRequest(message) {
+  return errorResp("VALIDATION_ERROR", message);
+}
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
   try {
-    const command = new ListObjectsV2Command({
+    const payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    return payload && typeof payload === "object" ? payload : null;
+  } catch {
+    return null;
+  }
+}
+
+function toImage(obj) {
+  const ext = obj.Key.split(".").pop().toLowerCase();
+  return {
+    key: obj.Key,
+    url: publicUrl(obj.Key),
+    size: obj.Size,
+    lastModified: obj.LastModified ? new Date(obj.LastModified).toISOString() : null,
+    contentType: CONTENT_TYPES[ext] || "application/octet-stream",
+  };
+}
+
+// Skip the folder placeholder and apply the case-insensitive filename filter
+function matches(obj, filter) {
+  if (obj.Key.endsWith("/")) return false;
+  if (!filter) return true;
+  return obj.Key.slice(FOLDER_PREFIX.length).toLowerCase().includes(filter);
+}
+
+/**
+ * Key order: follow S3's own listing from `startAfter`, reading further S3 pages
+ * until `limit + 1` matches are found (the extra one tells us another page exists).
+ */
+async function listInKeyOrder({ startAfter, filter, limit }) {
+  const found = [];
+  let continuationToken;
+
+  do {
+    const response = await s3.send(new ListObjectsV2Command({
       Bucket: BUCKET_NAME,
       Prefix: FOLDER_PREFIX,
-    });
+      StartAfter: continuationToken ? undefined : startAfter,
+      ContinuationToken: continuationToken,
+    }));
+
+    for (const obj of response.Contents || []) {
+      if (!matches(obj, filter)) continue;
+      found.push(obj);
+      if (found.length > limit) return { objects: found.slice(0, limit), hasMore: true };
+    }
+
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
 
-    const response = await s3.send(command);
+  return { objects: found, hasMore: false };
+}
 
-    if (!response.Contents || response.Contents.length === 0) {
-      return {
-        statusCode: 404,
-        headers: CORS_HEADERS, 
-        body: JSON.stringify({ message: "No images found." }),
-      };
+/**
+ * Date order needs every key first: S3 can only list lexicographically. Costs one ListObjectsV2
+ * call per 1000 objects on every page, so it gives up (null) past MAX_DATE_SORT_OBJECTS.
+ */
+async function listAll(filter) {
+  const found = [];
+  let listed = 0;
+  let continuationToken;
+
+  do {
+    const response = await s3.send(new ListObjectsV2Command({
+      Bucket: BUCKET_NAME,
+      Prefix: FOLDER_PREFIX,
+      ContinuationToken: continuationToken,
+    }));
+    listed += (response.Contents || []).length;
+    if (listed > MAX_DATE_SORT_OBJECTS) return null;
+    for (const obj of response.Contents || []) {
+      if (matches(obj, filter)) found.push(obj);
+    }
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return found;
+}
+
+// Newest/oldest first, then key: a total order, so a (lastModified, key) cursor never skips or repeats
+function byDate(direction) {
+  return (a, b) => direction * (new Date(a.LastModified) - new Date(b.LastModified)) || a.Key.localeCompare(b.Key);
+}
+
+/**
+ * GET /images?limit=&cursor=&q=&sort=key|newest|oldest
+ * -> { images: [url], items: [{ key, url, size, lastModified, contentType }], nextCursor }
+ * `images` is the original response (plain URLs) and stays for existing callers.
+ */
+exports.handler = async (event = {}) => {
+  try {
+    const queryParams = event.queryStringParameters || {};
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (queryParams.limit != null && queryParams.limit !== "") {
+      limit = Number(queryParams.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return badRequest(`"limit" must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+      }
+      limit = Math.min(limit, MAX_PAGE_SIZE);
+    }
+
+    const sort = queryParams.sort || "key";
+    if (!SORTS.includes(sort)) return badRequest(`"sort" must be one of: ${SORTS.join(", ")}.`);
+
+    const filter = String(queryParams.q || "").trim().toLowerCase();
+
+    let cursor = null;
+    if (queryParams.cursor) {
+      cursor = decodeCursor(queryParams.cursor);
+      if (!cursor || cursor.sort !== sort || (cursor.q || "") !== filter) {
+        return badRequest('Invalid "cursor" for this sort/filter.');
+      }
     }
 
-    const imageUrls = response.Contents
-      .filter(obj => !obj.Key.endsWith("/")) // Exclude the folder itself
-      .map(obj => `https://${BUCKET_NAME}.s3.amazonaws.com/${obj.Key}`);
+    let objects;
+    let nextCursor = null;
+
+    if (sort === "key") {
+      if (cursor && typeof cursor.after !== "string") return badRequest('Invalid "cursor".');
+      const page = await listInKeyOrder({ startAfter: cursor?.after, filter, limit });
+      objects = page.objects;
+      if (page.hasMore) nextCursor = encodeCursor({ sort, q: filter, after: objects[objects.length - 1].Key });
+    } else {
+      if (cursor && (typeof cursor.after !== "string" || Number.isNaN(Date.parse(cursor.at)))) {
+        return badRequest('Invalid "cursor".');
+      }
 
-    return {
-      statusCode: 200,
-      headers: CORS_HEADERS, 
-      body: JSON.stringify({ images: imageUrls }),
-    };
+      const all = await listAll(filter);
+      if (!all) {
+        return badRequest(`"sort=${sort}" is limited to ${MAX_DATE_SORT_OBJECTS} images; use sort=key for this bucket.`);
+      }
+      const compare = byDate(sort === "newest" ? -1 : 1);
+      all.sort(compare);
+
+      const rest = cursor ? all.filter((o) => compare(o, { Key: cursor.after, LastModified: cursor.at }) > 0) : all;
+      objects = rest.slice(0, limit);
+      if (rest.length > limit) {
+        const last = objects[objects.length - 1];
+        nextCursor = encodeCursor({ sort, q: filter, at: new Date(last.LastModified).toISOString(), after: last.Key });
+      }
+    }
+
+    const items = objects.map(toImage);
+    return resp(200, { images: items.map((img) => img.url), items, nextCursor });
   } catch (error) {
-    console.error("Error listing images:", error);
-    return {
-      statusCode: 500,
-      headers: CORS_HEADERS, 
-      body: JSON.stringify({ message: "Error listing images", error: error.message }),
-    };
+    return internalError(error, "Error listing images.");
   }
 };
-
@@ -0,0 +1,153 @@
+// src/handlers/imageVariants.js
+'use strict';
+
+/**
+ * Generates fixed-width WebP + JPEG variants for every image written under IMAGES_PREFIX,
+ * and removes them again when the original is deleted.
+ *
+ * Triggers:
+ *   - EventBridge "Object Created" / "Object Deleted" events for the images bucket
+ *   - classic S3 notifications ({ Records: [{ s3: ... }] })
+ *   - manual backfill: invoke with { "backfill": true } to (re)build variants for existing images
+ *
+ * Output keys: <IMAGE_VARIANTS_PREFIX><key without IMAGES_PREFIX>/<variant>.<webp|jpg>
+ *   images/abc.jpg -> variants/abc.jpg/thumbnail.webp, variants/abc.jpg/card.jpg, ...
+ * Variant names, widths, source formats and key layout live in lib/images.js, shared with the read
+ * endpoints' srcset maps.
+ */
+
+const sharp = require('sharp');
+const {
+  S3Client,
+  GetObjectCommand,
+  PutObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+
+const {
+  REGION,
+  IMAGES_BUCKET: BUCKET_NAME,
+  IMAGES_PREFIX: FOLDER_PREFIX,
+  IMAGE_VARIANTS: VARIANTS,
+  VARIANT_FORMATS: FORMATS,
+  isVariantSource,
+  variantKey,
+} = require('../lib/images');
+
+const s3 = new S3Client({ region: REGION });
+
+/* -------------------- Keys -------------------- */
+function allVariantKeys(sourceKey) {
+  return VARIANTS.flatMap((v) => FORMATS.map((f) => variantKey(sourceKey, v.name, f.ext)));
+}
+
+/* -------------------- Work -------------------- */
+async function generateVariants(bucket, key) {
+  const original = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+  const input = Buffer.from(await original.Body.transformToByteArray());
+
+  const written = [];
+  for (const variant of VARIANTS) {
+    // rotate() applies EXIF orientation before the metadata is stripped
+    const resized = sharp(input).rotate().resize({ width: variant.width, withoutEnlargement: true });
+
+    for (const fmt of FORMATS) {
+      const body = await resized.clone().toFormat(fmt.format, fmt.options).toBuffer();
+      const outKey = variantKey(key, variant.name, fmt.ext);
+      await s3.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: outKey,
+        Body: body,
+        ContentType: fmt.contentType,
+        CacheControl: 'public, max-age=86400',
+      }));
+      written.push(outKey);
+    }
+  }
+
+  console.log(`Generated ${written.length} variant(s) for ${key}.`);
+  return written;
+}
+
+async function deleteVariants(bucket, key) {
+  const keys = allVariantKeys(key);
+  await s3.send(new DeleteObjectsCommand({
+    Bucket: bucket,
+    Delete: { Objects: keys.map((Key) => ({ Key })), Quiet: true },
+  }));
+  console.log(`Removed variants for deleted image ${key}.`);
+  return keys;
+}
+
+async function backfill() {
+  let continuationToken;
+  let processed = 0;
+  const failed = [];
+
+  do {
+    const response = await s3.send(new ListObjectsV2Command({
+      Bucket: BUCKET_NAME,
+      Prefix: FOLDER_PREFIX,
+      ContinuationToken: continuationToken,
+    }));
+    for (const obj of response.Contents || []) {
+      if (!isVariantSource(obj.Key)) continue;
+      try {
+        await generateVariants(BUCKET_NAME, obj.Key);
+        processed++;
+      } catch (err) {
+        console.error(`Failed to generate variants for ${obj.Key}:`, err);
+        failed.push(obj.Key);
+      }
+    }
+    continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return { processed, failed };
+}
+
+/* -------------------- Event parsing -------------------- */
+// Normalize both trigger shapes into [{ bucket, key, removed }]
+function toTasks(event) {
+  if (Array.isArray(event.Records)) {
+    return event.Records
+      .filter((r) => r.s3)
+      .map((r) => ({
+        bucket: r.s3.bucket.name,
+        // S3 notifications URL-encode keys, with spaces as "+"
+        key: decodeURIComponent(String(r.s3.object.key).replace(/\+/g, ' ')),
+        removed: String(r.eventName || '').startsWith('ObjectRemoved'),
+      }));
+  }
+  if (event.detail?.bucket?.name && event.detail?.object?.key) {
+    return [{
+      bucket: event.detail.bucket.name,
+      key: event.detail.object.key,
+      removed: event['detail-type'] === 'Object Deleted',
+    }];
+  }
+  return [];
+}
+
+/* -------------------- Handler -------------------- */
+exports.handler = async (event = {}) => {
+  if (event.backfill === true) {
+    const result = await backfill();
+    console.log('Backfill complete:', JSON.stringify(result));
+    return result;
+  }
+
+  const tasks = toTasks(event).filter((t) => isVariantSource(t.key));
+  if (!tasks.length) {
+    console.log('No source images in event; nothing to do.');
+    return { processed: 0 };
+  }
+
+  // Let failures throw so the async invocation is retried
+  for (const task of tasks) {
+    if (task.removed) await deleteVariants(task.bucket, task.key);
+    else await generateVariants(task.bucket, task.key);
+  }
+  return { processed: tasks.length };
+};
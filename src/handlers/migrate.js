@@ -0,0 +1,43 @@
+// src/handlers/migrate.js
+'use strict';
+
+/**
+ * Schema migrations as a Lambda, for databases only reachable from inside the VPC.
+ * Not behind API Gateway: invoke it directly (IAM lambda:InvokeFunction is the admin check), e.g.
+ *   aws lambda invoke --function-name <MigrateFunction> --payload '{"action":"up"}' out.json
+ * Payload: { action: "status" | "up" | "down", to?: "0003", steps?: 1 } (action defaults to "up").
+ */
+
+const { withDb } = require('../lib/db');
+const { status, migrateUp, migrateDown } = require('../lib/migrations');
+
+exports.handler = async (event = {}) => {
+  const action = event.action || 'up';
+  console.log('Migration run requested:', JSON.stringify({ action, to: event.to, steps: event.steps }));
+
+  if (!['status', 'up', 'down'].includes(action)) {
+    return { ok: false, message: `Unknown action "${action}"; use status, up or down.` };
+  }
+  if (event.steps != null && (!Number.isInteger(event.steps) || event.steps < 1)) {
+    return { ok: false, message: '"steps" must be a positive integer.' };
+  }
+
+  try {
+    return await withDb(async (conn) => {
+      if (action === 'up') {
+        const applied = await migrateUp(conn, { to: event.to ?? null });
+        return { ok: true, applied, migrations: await status(conn) };
+      }
+      if (action === 'down') {
+        const rolledBack = await migrateDown(conn, { steps: event.steps ?? 1, to: event.to ?? null });
+        return { ok: true, rolledBack, migrations: await status(conn) };
+      }
+      return { ok: true, migrations: await status(conn) };
+    });
+  } catch (err) {
+    console.error('Migration failed:', err);
+    return { ok: false, message: String(err && err.message || err) };
+  } finally {
+    console.log('Migration run complete.');
+  }
+};
@@ -0,0 +1,74 @@
+// src/handlers/suggestShoes.js
+'use strict';
+
+const { getMethod, resp } = require('../lib/http');
+const { errorResp, internalError } = require('../lib/errors');
+const { getRepositories } = require('../lib/repositories');
+
+/** ---------- In-process cache ---------- **/
+// Warm containers answer repeated keystrokes without touching the DB.
+// Map keeps insertion order, so the first key is always the oldest entry.
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const suggestionCache = new Map();
+
+function cacheGet(key) {
+  const hit = suggestionCache.get(key);
+  if (!hit) return null;
+  if (hit.expiresAt <= Date.now()) {
+    suggestionCache.delete(key);
+    return null;
+  }
+  return hit.value;
+}
+
+function cacheSet(key, value) {
+  suggestionCache.delete(key);
+  if (suggestionCache.size >= CACHE_MAX_ENTRIES) {
+    suggestionCache.delete(suggestionCache.keys().next().value);
+  }
+  suggestionCache.set(key, { value, expiresAt: Date.now() + CACHE_TTL_MS });
+}
+
+/** ---------- Suggestions ---------- **/
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+const MAX_PREFIX_LENGTH = 50;
+
+/** ---------- Lambda Handler (GET /shoes/suggest) ---------- **/
+exports.handler = async (event) => {
+  try {
+    const method = getMethod(event);
+    if (method === 'OPTIONS') return resp(200, null);
+
+    const queryParams = event.queryStringParameters || {};
+    const prefix = String(queryParams.prefix || '').trim().replace(/\s+/g, ' ');
+    if (!prefix) return errorResp('VALIDATION_ERROR', '"prefix" is required.');
+    if (prefix.length > MAX_PREFIX_LENGTH) {
+      return errorResp('VALIDATION_ERROR', `"prefix" must be at most ${MAX_PREFIX_LENGTH} characters.`);
+    }
+
+    let limit = DEFAULT_SUGGESTIONS;
+    if (queryParams.limit != null && queryParams.limit !== '') {
+      limit = Number(queryParams.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        return errorResp('VALIDATION_ERROR', `"limit" must be an integer between 1 and ${MAX_SUGGESTIONS}.`);
+      }
+      limit = Math.min(limit, MAX_SUGGESTIONS);
+    }
+
+    const cacheKey = `${prefix.toLowerCase()}|${limit}`;
+    let suggestions = cacheGet(cacheKey);
+    if (!suggestions) {
+      // names/brands starting with the prefix rank ahead of those where a later word does
+      suggestions = await getRepositories().shoes.suggest(prefix, limit);
+      cacheSet(cacheKey, suggestions);
+    }
+
+    // Let browsers/CDN absorb repeats too; suggestions tolerate being a minute stale
+    return resp(200, { prefix, ...suggestions }, { 'Cache-Control': 'public, max-age=60' });
+
+  } catch (err) {
+    return internalError(err, 'Error fetching suggestions.');
+  }
+};
@@ -1,184 +1,77 @@
 // src/handlers/updateShoes.js
 'use strict';
 
-const mysql = require('mysql2/promise');
+const { getMethod, getPath, getHeader, getClaims, isAdmin, resp, versionEtag, matchesIfMatch } = require('../lib/http');
+const { errorResp, forbidden, internalError } = require('../lib/errors');
+const { FULL_SHOE, preconditionRequired, staleShoe } = require('../lib/shoes');
+const { compileSchema, validateBody, validationFailed } = require('../lib/validation');
+const { SHOE_UPDATE, INVENTORY_PATCH } = require('../lib/schemas');
+const { normalizeImages, presentShoe } = require('../lib/images');
+const { withIdempotency } = require('../lib/idempotency');
 
-let cachedConnection = null;   // { connection }
-let cachedSecret = null;
-
-const CORS_HEADERS = {
-  'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || '*',
-  'Access-Control-Allow-Headers': 'Content-Type,Authorization',
-  'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,PATCH,OPTIONS',
-  'Content-Type': 'application/json',
-};
+/* -------------------- PUT logic: /shoes/{id} -------------------- */
+const validateUpdate = compileSchema(SHOE_UPDATE);
 
-/* -------------------- Auth helpers -------------------- */
-function getClaims(event) {
-  return (
-    event?.requestContext?.authorizer?.jwt?.claims ||
-    event?.requestContext?.authorizer?.claims ||
-    {}
-  );
-}
-function isAdmin(claims) {
-  const groups = claims['cognito:groups'];
-  if (!groups) return false;
-  return Array.isArray(groups) ? groups.includes('admin') : String(groups).split(',').includes('admin');
-}
-function resp(statusCode, body) {
-  return { statusCode, headers: CORS_HEADERS, body: body == null ? '' : JSON.stringify(body) };
-}
-/* ------------------------------------------------------ */
-
-/** ---------- Secrets & DB (Env vs Secrets Manager) ---------- **/
-async function getSecret() {
-  const mode = process.env.CONFIG_SOURCE;
-  if (mode !== 'SecretsManager') {
-    return {
-      host: process.env.DB_HOST,
-      username: process.env.DB_USER,
-      password: process.env.DB_PASSWORD,
-      dbname: process.env.DB_NAME,
-      port: Number(process.env.DB_PORT || 3306),
-    };
-  }
-  if (cachedSecret) return cachedSecret;
-
-  const { SecretsManagerClient, GetSecretValueCommand } = require('@aws-sdk/client-secrets-manager');
-  const region = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
-  const secretName = process.env.SECRET_NAME || 'admin_cred';
-
-  const client = new SecretsManagerClient({ region });
-  const response = await client.send(
-    new GetSecretValueCommand({ SecretId: secretName, VersionStage: 'AWSCURRENT' })
-  );
-  const s = JSON.parse(response.SecretString);
-  cachedSecret = {
-    host: s.host || s.hostname,
-    username: s.username || s.user,
-    password: s.password,
-    dbname: s.dbname || s.database,
-    port: Number(s.port || 3306),
-  };
-  return cachedSecret;
-}
+async function handlePutUpdate(event, shoeId, repos) {
+  const ifMatch = getHeader(event, 'If-Match');
+  if (!ifMatch) return preconditionRequired();
 
-async function createConnection() {
-  const secret = await getSecret();
-  return mysql.createConnection({
-    host: secret.host,
-    user: secret.username,
-    password: secret.password,
-    database: secret.dbname,
-    port: secret.port,
-    connectTimeout: 4000,
-  });
-}
+  const { body, response } = validateBody(event, validateUpdate);
+  if (response) return response;
 
-async function getConnection() {
-  if (
-    cachedConnection &&
-    cachedConnection.connection &&
-    cachedConnection.connection.connection &&
-    cachedConnection.connection.connection.state !== 'disconnected'
-  ) {
-    return cachedConnection.connection;
-  }
-  const connection = await createConnection();
-  cachedConnection = { connection };
-  return connection;
-}
+  const { name, brand, price, image, images, inventory } = body;
 
-/* -------------------- Helpers: parse JSON body -------------------- */
-function parseJsonBody(event) {
-  try {
-    return typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
-  } catch {
-    return null;
+  // `images` replaces the whole gallery and overrides `image`, which follows the primary
+  let gallery = null;
+  if (images !== undefined) {
+    gallery = normalizeImages(images);
+    if (gallery.error) return validationFailed([{ field: 'images', message: gallery.error }]);
   }
-}
-
-/* -------------------- PUT logic: /shoes/{id} -------------------- */
-async function handlePutUpdate(event, shoeId) {
-  const body = parseJsonBody(event);
-  if (!body) return resp(400, { message: 'Invalid JSON body' });
-
-  const { name, brand, price, image, inventory } = body;
-
-  const sets = [];
-  const vals = [];
-  if (name != null)  { sets.push('name = ?');  vals.push(String(name)); }
-  if (brand != null) { sets.push('brand = ?'); vals.push(String(brand)); }
-  if (price != null) { sets.push('price = ?'); vals.push(Number(price)); }
-  if (image != null) { sets.push('image = ?'); vals.push(image || null); }
 
-  const conn = await getConnection();
-  await conn.beginTransaction();
-  try {
-    if (sets.length) {
-      const [upd] = await conn.query(
-        `UPDATE shoes SET ${sets.join(', ')} WHERE id = ?`,
-        [...vals, shoeId]
-      );
-      if (upd.affectedRows === 0) {
-        await conn.rollback();
-        return resp(404, { message: 'Shoe not found.' });
-      }
+  const fields = {};
+  if (name != null)  fields.name = name;
+  if (brand != null) fields.brand = brand;
+  if (price != null) fields.price = price;
+  if (gallery) fields.image = gallery.primaryUrl || '';
+  else if (image != null) fields.image = image; // '' clears it: the column is NOT NULL DEFAULT ''
+
+  // ---- MERGE / UPSERT (does not delete other sizes) ----
+  const upserts = [];
+  const deleteSizes = [];
+  for (const item of inventory || []) {
+    // allow explicit deletions via { size, delete: true } or { size, quantity: null }
+    if (item.delete === true || item.quantity == null) {
+      deleteSizes.push(item.size);
     } else {
-      // if only inventory is provided, make sure shoe exists
-      const [exists] = await conn.query('SELECT id FROM shoes WHERE id = ?', [shoeId]);
-      if (!exists || !exists.length) {
-        await conn.rollback();
-        return resp(404, { message: 'Shoe not found.' });
-      }
+      upserts.push({ size: item.size, quantity: item.quantity });
     }
+  }
 
-    if (Array.isArray(inventory)) {
-      // ---- MERGE / UPSERT (does not delete other sizes) ----
-      const upsertRows = [];
-      const deleteSizes = [];
-
-      for (const item of inventory) {
-        if (!item || item.size == null) continue;
-
-        // allow explicit deletions via { size, delete: true } or { size, quantity: null }
-        if (item.delete === true || item.quantity == null) {
-          deleteSizes.push(Number(item.size));
-        } else {
-          upsertRows.push([Number(shoeId), Number(item.size), Number(item.quantity)]);
-        }
-      }
-
-      if (upsertRows.length) {
-        const batchSize = 10;
-        for (let i = 0; i < upsertRows.length; i += batchSize) {
-          const batch = upsertRows.slice(i, i + batchSize);
-          await conn.query(
-            'INSERT INTO shoe_inventory (shoe_id, size, quantity) VALUES ? ' +
-            'ON DUPLICATE KEY UPDATE quantity = VALUES(quantity)',
-            [batch]
-          );
-        }
-      }
-
-      if (deleteSizes.length) {
-        // delete only those explicitly marked
-        const placeholders = deleteSizes.map(() => '?').join(',');
-        await conn.query(
-          `DELETE FROM shoe_inventory WHERE shoe_id = ? AND size IN (${placeholders})`,
-          [Number(shoeId), ...deleteSizes]
-        );
-      }
+  return repos.transaction(async ({ shoes, inventory: stock }) => {
+    // Locks the row, so a concurrent PUT waits here and then sees the version this one writes
+    const version = await shoes.getVersion(shoeId);
+    if (version == null) return errorResp('NOT_FOUND', 'Shoe not found.');
+    if (!matchesIfMatch(ifMatch, versionEtag(version))) return staleShoe(shoes, shoeId, version);
+
+    // bumps the version even when only inventory or the gallery change
+    await shoes.update(shoeId, fields);
+
+    if (upserts.length) await stock.upsertMany(shoeId, upserts);
+    // delete only those explicitly marked
+    if (deleteSizes.length) await stock.removeSizes(shoeId, deleteSizes);
+
+    if (gallery) {
+      await shoes.replaceGallery(shoeId, gallery.images);
+    } else if (image != null) {
+      // legacy single-image update: keep the gallery's primary in step with shoes.image
+      if (image) await shoes.setPrimaryImageUrl(shoeId, image);
+      else await shoes.clearPrimaryImage(shoeId);
     }
 
-    const [rows] = await conn.query('SELECT * FROM shoes WHERE id = ?', [shoeId]);
-    await conn.commit();
-    return resp(200, rows && rows[0] ? rows[0] : { id: Number(shoeId) });
-  } catch (e) {
-    await conn.rollback();
-    throw e;
-  }
+    // Same body as GET /shoes/{id}, since the ETag names that representation
+    const shoe = await shoes.getById(shoeId, FULL_SHOE);
+    return resp(200, presentShoe(shoe), { ETag: versionEtag(shoe.version) });
+  });
 }
 
 
@@ -189,98 +82,77 @@ async function handlePutUpdate(event, shoeId) {
  *   OR
  *   { size, delta }     // increment/decrement; won’t go below 0
  */
-async function handlePatchInventory(event, shoeId) {
-  const body = parseJsonBody(event);
-  if (!body) return resp(400, { message: 'Invalid JSON body' });
+const validatePatch = compileSchema(INVENTORY_PATCH);
+
+async function handlePatchInventory(event, shoeId, repos) {
+  const { body, response } = validateBody(event, validatePatch);
+  if (response) return response;
 
-  const size = Number(body.size);
+  const { size } = body;
   const hasQuantity = body.quantity != null;
   const hasDelta = body.delta != null;
 
-  if (!Number.isFinite(size)) return resp(400, { message: 'size (number) is required.' });
-  if (hasQuantity && hasDelta) return resp(400, { message: 'Provide either "quantity" or "delta", not both.' });
-  if (!hasQuantity && !hasDelta) return resp(400, { message: 'Provide "quantity" or "delta".' });
+  if (hasQuantity && hasDelta) {
+    return validationFailed([{ field: 'delta', message: 'must not be sent together with "quantity"' }]);
+  }
+  if (!hasQuantity && !hasDelta) {
+    return validationFailed([{ field: 'quantity', message: 'either "quantity" or "delta" is required' }]);
+  }
 
-  const conn = await getConnection();
+  return repos.transaction(async ({ shoes, inventory }) => {
+    // Ensure shoe exists
+    if (!(await shoes.exists(shoeId))) return errorResp('NOT_FOUND', 'Shoe not found.');
 
-  // Ensure shoe exists
-  const [exists] = await conn.query('SELECT id FROM shoes WHERE id = ?', [shoeId]);
-  if (!exists || !exists.length) return resp(404, { message: 'Shoe not found.' });
+    if (hasQuantity) {
+      // Upsert absolute value
+      await inventory.set(shoeId, size, body.quantity);
+    } else {
+      const { delta } = body;
 
-  if (hasQuantity) {
-    const quantity = Number(body.quantity);
-    if (!Number.isFinite(quantity) || quantity < 0) {
-      return resp(400, { message: '"quantity" must be a non-negative number.' });
-    }
-    // Upsert absolute value
-    await conn.query(
-      'INSERT INTO shoe_inventory (shoe_id, size, quantity) VALUES (?, ?, ?) ' +
-      'ON DUPLICATE KEY UPDATE quantity = VALUES(quantity)',
-      [Number(shoeId), size, quantity]
-    );
-  } else {
-    const delta = Number(body.delta);
-    if (!Number.isFinite(delta)) return resp(400, { message: '"delta" must be a number.' });
-
-    if (delta > 0) {
-      await conn.query(
-        'INSERT INTO shoe_inventory (shoe_id, size, quantity) VALUES (?, ?, ?) ' +
-        'ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)',
-        [Number(shoeId), size, delta]
-      );
-    } else if (delta < 0) {
-      // Don’t allow negative quantities; if row missing, 400
-      const [curRows] = await conn.query(
-        'SELECT quantity FROM shoe_inventory WHERE shoe_id = ? AND size = ?',
-        [Number(shoeId), size]
-      );
-      if (!curRows || !curRows.length) {
-        return resp(400, { message: 'Cannot decrement: inventory row does not exist for this size.' });
+      // Don’t allow negative quantities; if row missing, 409
+      if (delta < 0 && !(await inventory.get(shoeId, size))) {
+        return errorResp('OUT_OF_STOCK', 'Cannot decrement: inventory row does not exist for this size.');
       }
-      await conn.query(
-        'UPDATE shoe_inventory SET quantity = GREATEST(0, quantity + ?) WHERE shoe_id = ? AND size = ?',
-        [delta, Number(shoeId), size]
-      );
+      await inventory.adjust(shoeId, size, delta);
     }
-  }
 
-  const [rows] = await conn.query(
-    'SELECT id, shoe_id, size, quantity FROM shoe_inventory WHERE shoe_id = ? AND size = ?',
-    [Number(shoeId), size]
-  );
-  return resp(200, rows && rows[0] ? rows[0] : { shoe_id: Number(shoeId), size, quantity: 0 });
+    // Stock is part of the shoe's representation, so a stock change is a new version (and ETag) too
+    await shoes.update(shoeId, {});
+
+    const row = await inventory.get(shoeId, size);
+    return resp(200, row || { shoe_id: Number(shoeId), size, quantity: 0 });
+  });
 }
 
 /* -------------------- Main handler: route by method+path -------------------- */
 exports.handler = async (event) => {
   try {
-    const method = event.requestContext?.http?.method || event.httpMethod || 'GET';
+    const method = getMethod(event);
     if (method === 'OPTIONS') return resp(200, null);
 
     const claims = getClaims(event);
-    if (!isAdmin(claims)) return resp(403, { message: 'Forbidden: admin role required' });
+    if (!isAdmin(claims)) return forbidden();
 
-    const path = event.rawPath || event.path || '';
-    const idFromPath = event.pathParameters?.id || (path.split('/').filter(Boolean).pop());
+    const path = getPath(event);
+    const idFromPath = event.pathParameters?.id || path.match(/\/shoes\/([^/]+)/)?.[1];
 
     // PATCH /shoes/{id}/inventory
     if (method === 'PATCH' && /\/shoes\/[^/]+\/inventory$/.test(path)) {
-      if (!idFromPath) return resp(400, { message: 'Shoe ID is required.' });
-      return await handlePatchInventory(event, idFromPath);
+      if (!idFromPath) return errorResp('VALIDATION_ERROR', 'Shoe ID is required.');
+      return await withIdempotency(event, (repos) => handlePatchInventory(event, idFromPath, repos));
     }
 
     // PUT /shoes/{id}
     if (method === 'PUT' && /\/shoes\/[^/]+$/.test(path)) {
-      if (!idFromPath) return resp(400, { message: 'Shoe ID is required.' });
-      return await handlePutUpdate(event, idFromPath);
+      if (!idFromPath) return errorResp('VALIDATION_ERROR', 'Shoe ID is required.');
+      return await withIdempotency(event, (repos) => handlePutUpdate(event, idFromPath, repos));
     }
 
-    return resp(404, { message: 'Route not found.' });
+    return errorResp('NOT_FOUND', 'Route not found.');
   } catch (err) {
-    console.error('Unhandled error:', err);
-    return resp(500, { message: 'Internal Server Error', error: String(err && err.message || err) });
+    return internalError(err);
   } finally {
-    // keep connection open for reuse
+    // pooled connections stay open for reuse
   }
 };
 
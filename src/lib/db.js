@@ -1,14 +1,79 @@
+// src/lib/db.js
+'use strict';
+
 const mysql = require('mysql2/promise');
 const { getDbConfig } = require('./config');
 
-let cachedPool;
+// Errors that mean the socket went away, not that the query was wrong
+const TRANSIENT_DB_ERROR = /PROTOCOL_CONNECTION_LOST|ECONNRESET|ETIMEDOUT|EPIPE|read ECONNRESET|write EPIPE/i;
+
+let cachedPool = null;
+
+/**
+ * One small pool per Lambda container. A container serves one request at a time,
+ * so two connections cover a handler that overlaps a couple of queries.
+ */
 async function getPool() {
   if (cachedPool) return cachedPool;
   const cfg = await getDbConfig();
   cachedPool = mysql.createPool({
-    host: cfg.host, user: cfg.user, password: cfg.password, database: cfg.database,
-    waitForConnections: true, connectionLimit: 4, queueLimit: 0,
+    host: cfg.host,
+    user: cfg.user,
+    password: cfg.password,
+    database: cfg.database,
+    port: cfg.port,
+    // keep these modest to avoid long API GW timeouts
+    connectTimeout: 4000,
+    waitForConnections: true,
+    connectionLimit: 2,
+    queueLimit: 0,
+    enableKeepAlive: true,
   });
   return cachedPool;
 }
-module.exports = { getPool };
+
+function isTransient(err) {
+  return TRANSIENT_DB_ERROR.test(`${err && err.code} ${err && err.message}`);
+}
+
+/**
+ * Run fn(conn) on a pooled connection and release it afterwards.
+ * If the connection dropped mid-query, the broken connection is discarded
+ * and fn is retried once on a fresh one.
+ */
+async function withDb(fn) {
+  for (let attempt = 1; ; attempt++) {
+    const pool = await getPool();
+    const conn = await pool.getConnection();
+    try {
+      const result = await fn(conn);
+      conn.release();
+      return result;
+    } catch (err) {
+      if (attempt === 1 && isTransient(err)) {
+        console.warn('DB connection appears stale; recreating and retrying once…');
+        conn.destroy();
+        continue;
+      }
+      conn.release();
+      throw err;
+    }
+  }
+}
+
+// withDb inside BEGIN … COMMIT; any throw rolls back
+async function withTransaction(fn) {
+  return withDb(async (conn) => {
+    await conn.beginTransaction();
+    try {
+      const result = await fn(conn);
+      await conn.commit();
+      return result;
+    } catch (err) {
+      await conn.rollback().catch(() => {});
+      throw err;
+    }
+  });
+}
+
+module.exports = { getPool, withDb, withTransaction };
@@ -0,0 +1,41 @@
+// src/lib/errors.js
+'use strict';
+
+/**
+ * Error responses shared by every HTTP handler. Bodies are always { message, code }, plus
+ * route-specific context where documented (e.g. `errors` for VALIDATION_ERROR). Causes of
+ * INTERNAL errors are logged, never returned: no SQL, stack traces or driver messages reach clients.
+ */
+
+const { resp } = require('./http');
+
+// code -> HTTP status
+const ERROR_STATUS = {
+  VALIDATION_ERROR: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  OUT_OF_STOCK: 409,
+  PRECONDITION_FAILED: 412,
+  IDEMPOTENCY_KEY_REUSED: 422,
+  PRECONDITION_REQUIRED: 428,
+  INTERNAL: 500,
+};
+
+function errorResp(code, message, extra, headers) {
+  const statusCode = ERROR_STATUS[code];
+  if (!statusCode) throw new Error(`Unknown error code "${code}".`);
+  return resp(statusCode, { ...extra, message, code }, headers);
+}
+
+function forbidden() {
+  return errorResp('FORBIDDEN', 'Forbidden: admin role required');
+}
+
+// Log the real cause for CloudWatch; the client only learns that it failed
+function internalError(err, message = 'Internal server error.') {
+  console.error(message, err);
+  return errorResp('INTERNAL', message);
+}
+
+module.exports = { ERROR_STATUS, errorResp, forbidden, internalError };
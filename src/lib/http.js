@@ -0,0 +1,115 @@
+// src/lib/http.js
+'use strict';
+
+const crypto = require('crypto');
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': process.env.CORS_ORIGIN || '*', // set to your CloudFront domain in prod
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization,If-None-Match,If-Match,Idempotency-Key',
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+  'Access-Control-Expose-Headers': 'ETag,Idempotent-Replayed',
+  'Content-Type': 'application/json',
+};
+
+const CATALOG_CACHE_CONTROL = process.env.CATALOG_CACHE_CONTROL || 'public, max-age=60';
+
+/** ---------- Request helpers ---------- **/
+// Works for REST (v1: httpMethod/path) and HTTP API (v2: requestContext.http.method/rawPath) events
+function getMethod(event, fallback = 'GET') {
+  return event.requestContext?.http?.method || event.httpMethod || fallback;
+}
+
+function getPath(event) {
+  return event.rawPath || event.path || '';
+}
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : undefined;
+}
+
+// Parsed body object, or null when the body is not valid JSON
+function parseJsonBody(event) {
+  try {
+    return typeof event.body === 'string' ? JSON.parse(event.body || '{}') : (event.body || {});
+  } catch {
+    return null;
+  }
+}
+
+/** ---------- Auth helpers ---------- **/
+// REST User Pool authorizer -> requestContext.authorizer.claims; HTTP API JWT authorizer -> ...authorizer.jwt.claims
+function getClaims(event) {
+  return event?.requestContext?.authorizer?.jwt?.claims || event?.requestContext?.authorizer?.claims || {};
+}
+
+// cognito:groups arrives as an array, "a,b" (User Pool authorizer) or "[a b]" (JWT authorizer)
+function isAdmin(claims) {
+  const groups = claims['cognito:groups'];
+  if (!groups) return false;
+  if (Array.isArray(groups)) return groups.includes('admin');
+  return String(groups).replace(/^\[|\]$/g, '').split(/[,\s]+/).includes('admin');
+}
+
+/** ---------- Response helpers ---------- **/
+function resp(statusCode, body, extraHeaders) {
+  return {
+    statusCode,
+    headers: { ...CORS_HEADERS, ...extraHeaders },
+    body: body == null ? '' : JSON.stringify(body),
+  };
+}
+
+// Strong ETag over the exact bytes we send, so identical data always yields the same tag
+function etagFor(body) {
+  return `"${crypto.createHash('sha256').update(body).digest('base64url')}"`;
+}
+
+// ETag of a versioned record (shoes.version): changes exactly when the record does.
+// `variant` tells apart other representations of the same version (e.g. a ?fields= projection).
+function versionEtag(version, variant = null) {
+  return variant ? `"v${version}-${variant}"` : `"v${version}"`;
+}
+
+function matchesIfNoneMatch(event, etag) {
+  const header = getHeader(event, 'If-None-Match');
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  return header.split(',').map((t) => t.trim().replace(/^W\//, '')).includes(etag);
+}
+
+// If-Match uses strong comparison: weak (W/) tags never match
+function matchesIfMatch(header, etag) {
+  if (header.trim() === '*') return true;
+  return header.split(',').map((t) => t.trim()).includes(etag);
+}
+
+/**
+ * Public catalog read: 200 with ETag/Cache-Control, or 304 when the client (or CloudFront) already has this body.
+ * The ETag hashes the body unless the caller supplies one (e.g. versionEtag for a single record).
+ */
+function cacheableResp(event, bodyObj, cacheControl = CATALOG_CACHE_CONTROL, etag = null) {
+  const body = JSON.stringify(bodyObj);
+  const tag = etag || etagFor(body);
+  const headers = { ...CORS_HEADERS, 'Cache-Control': cacheControl, ETag: tag };
+
+  if (matchesIfNoneMatch(event, tag)) {
+    return { statusCode: 304, headers, body: '' };
+  }
+  return { statusCode: 200, headers, body };
+}
+
+module.exports = {
+  CORS_HEADERS,
+  getMethod,
+  getPath,
+  getHeader,
+  parseJsonBody,
+  getClaims,
+  isAdmin,
+  resp,
+  versionEtag,
+  matchesIfMatch,
+  cacheableResp,
+};
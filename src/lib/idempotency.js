@@ -0,0 +1,97 @@
+// src/lib/idempotency.js
+'use strict';
+
+/**
+ * Idempotency-Key support for admin writes. The first request with a key runs and its response is
+ * stored; a repeat with the same method, path and body gets that response back (with
+ * `Idempotent-Replayed: true`) instead of running again. Keys are per caller (Cognito `sub`) and
+ * kept for IDEMPOTENCY_TTL_HOURS (default 24).
+ *   same key, different request       -> 422 IDEMPOTENCY_KEY_REUSED
+ *   same key while the first is running -> 409 CONFLICT
+ * The response is stored in the same transaction as the write, so a request either commits both or
+ * neither. 5xx responses and thrown errors roll back and free the key, so those can be retried.
+ * So do 412/428: If-Match is not part of the request hash, and the same key must work once the
+ * client sends the current ETag.
+ */
+
+const crypto = require('crypto');
+const { getClaims, getHeader, getMethod, getPath } = require('./http');
+const { errorResp } = require('./errors');
+const { getRepositories } = require('./repositories');
+
+const TTL_SECONDS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 3600;
+// Longer than the function Timeout: a key still unfinished after this belongs to a dead invocation
+const LOCK_SECONDS = Number(process.env.IDEMPOTENCY_LOCK_SECONDS || 90);
+
+// Visible ASCII, at most the idem_key column length
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// Responses replayed to a retry; the rest free the key again
+function isStored(response) {
+  return response.statusCode < 500 && response.statusCode !== 412 && response.statusCode !== 428;
+}
+
+function rawBody(event) {
+  if (event.body == null) return '';
+  if (typeof event.body !== 'string') return JSON.stringify(event.body);
+  return event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+}
+
+function requestHash(event) {
+  return crypto.createHash('sha256')
+    .update(`${getMethod(event)} ${getPath(event)}\n${rawBody(event)}`)
+    .digest('hex');
+}
+
+// Carries an unstored response out of the transaction so its writes are rolled back
+class Rollback extends Error {
+  constructor(response) {
+    super(`Rolled back a ${response.statusCode} response`);
+    this.response = response;
+  }
+}
+
+/**
+ * Run fn(repos) (which returns the Lambda response) at most once per Idempotency-Key.
+ * With a key, `repos` are bound to the transaction that also stores the response, so fn must do
+ * its writes through them. Without the header fn() simply runs on the default repositories.
+ */
+async function withIdempotency(event, fn) {
+  const repos = getRepositories();
+  const key = getHeader(event, 'Idempotency-Key');
+  if (key == null) return fn(repos);
+  if (!KEY_PATTERN.test(key)) {
+    return errorResp('VALIDATION_ERROR', '"Idempotency-Key" must be 1-255 visible ASCII characters.');
+  }
+
+  const { idempotency } = repos;
+  const id = { scope: getClaims(event).sub || 'anonymous', key };
+  const hash = requestHash(event);
+  const record = await idempotency.claim({ ...id, requestHash: hash, lockSeconds: LOCK_SECONDS, ttlSeconds: TTL_SECONDS });
+
+  if (!record.claimed) {
+    if (record.requestHash !== hash) {
+      return errorResp('IDEMPOTENCY_KEY_REUSED', 'This Idempotency-Key was already used for a different request.');
+    }
+    if (!record.response) {
+      return errorResp('CONFLICT', 'A request with this Idempotency-Key is still in progress; retry shortly.');
+    }
+    return { ...record.response, headers: { ...record.response.headers, 'Idempotent-Replayed': 'true' } };
+  }
+
+  // The claim is already committed, so a concurrent retry sees it in progress while this runs
+  try {
+    return await repos.transaction(async (tx) => {
+      const response = await fn(tx);
+      if (!isStored(response)) throw new Rollback(response);
+      await tx.idempotency.complete(id, response);
+      return response;
+    });
+  } catch (err) {
+    await idempotency.release(id).catch((releaseErr) => console.error('Could not release Idempotency-Key', releaseErr));
+    if (err instanceof Rollback) return err.response;
+    throw err;
+  }
+}
+
+module.exports = { withIdempotency };
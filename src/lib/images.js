@@ -0,0 +1,153 @@
+// src/lib/images.js
+'use strict';
+
+// Per-stage image settings (see README); defaults match the original production bucket
+const REGION = process.env.AWS_REGION || process.env.AWS_DEFAULT_REGION || 'us-east-1';
+const IMAGES_BUCKET = process.env.IMAGES_BUCKET || 'sneakersbucket-publicfiles';
+const IMAGES_PREFIX = process.env.IMAGES_PREFIX || 'images/';
+// CDN/CloudFront origin that serves the bucket; falls back to raw S3 URLs
+const IMAGE_PUBLIC_BASE = process.env.IMAGE_PUBLIC_BASE || `https://${IMAGES_BUCKET}.s3.amazonaws.com/`;
+const IMAGE_VARIANTS_PREFIX = process.env.IMAGE_VARIANTS_PREFIX || 'variants/';
+
+// Responsive variants written by handlers/imageVariants.js
+const IMAGE_VARIANTS = [
+  { name: 'thumbnail', width: 160 },
+  { name: 'card', width: 480 },
+  { name: 'detail', width: 1200 },
+];
+const VARIANT_FORMATS = [
+  { ext: 'webp', format: 'webp', contentType: 'image/webp', options: { quality: 80 } },
+  { ext: 'jpg', format: 'jpeg', contentType: 'image/jpeg', options: { quality: 82, mozjpeg: true } },
+];
+// Originals imageVariants.js can decode; anything else (e.g. .svg) is served as-is, without variants
+const SOURCE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp', 'gif', 'avif'];
+
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function publicUrl(key) {
+  return `${IMAGE_PUBLIC_BASE.replace(/\/+$/, '')}/${String(key).replace(/^\/+/, '')}`;
+}
+
+/**
+ * Map an image URL to a key in IMAGES_BUCKET, or null when it points elsewhere.
+ * Understands IMAGE_PUBLIC_BASE URLs, raw S3 URLs (virtual-hosted and path style)
+ * and root-relative paths such as "/images/zoom.jpg".
+ */
+function keyFromImageUrl(imageUrl) {
+  const value = String(imageUrl || '').trim();
+  if (!value) return null;
+
+  if (value.startsWith('/')) return safeDecode(value.replace(/^\/+/, ''));
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+
+  const base = new URL(IMAGE_PUBLIC_BASE);
+  const basePath = base.pathname.replace(/\/+$/, '');
+  if (url.host === base.host && url.pathname.startsWith(`${basePath}/`)) {
+    return safeDecode(url.pathname.slice(basePath.length + 1));
+  }
+
+  const host = url.host.toLowerCase();
+  const bucket = IMAGES_BUCKET.toLowerCase();
+  if (host === `${bucket}.s3.amazonaws.com` || host.startsWith(`${bucket}.s3.`)) {
+    return safeDecode(url.pathname.replace(/^\/+/, ''));
+  }
+  if ((host === 's3.amazonaws.com' || /^s3[.-][a-z0-9-]+\.amazonaws\.com$/.test(host))
+    && url.pathname.startsWith(`/${IMAGES_BUCKET}/`)) {
+    return safeDecode(url.pathname.slice(IMAGES_BUCKET.length + 2));
+  }
+  return null;
+}
+
+// An original under IMAGES_PREFIX that imageVariants.js generates variants for
+function isVariantSource(key) {
+  if (!key || !key.startsWith(IMAGES_PREFIX) || key.endsWith('/')) return false;
+  // never treat generated output as an original, even if the prefixes overlap
+  if (key.startsWith(IMAGE_VARIANTS_PREFIX)) return false;
+  return SOURCE_EXTENSIONS.includes(key.split('.').pop().toLowerCase());
+}
+
+// images/abc.jpg -> variants/abc.jpg/thumbnail.webp (the extension stays so abc.jpg and abc.png don't collide)
+function variantKey(sourceKey, variant, ext) {
+  return `${IMAGE_VARIANTS_PREFIX}${sourceKey.slice(IMAGES_PREFIX.length)}/${variant}.${ext}`;
+}
+
+/**
+ * srcset-ready variant URLs for an image imageVariants.js processes, or null for any other image
+ * (hosted elsewhere, or a format it skips such as .svg).
+ * -> { sizes: { thumbnail: { width, webp, jpeg }, card, detail }, srcset: { webp, jpeg } }
+ */
+function variantsFor(imageUrl) {
+  const key = keyFromImageUrl(imageUrl);
+  if (!isVariantSource(key)) return null;
+
+  const sizes = {};
+  for (const v of IMAGE_VARIANTS) {
+    sizes[v.name] = {
+      width: v.width,
+      webp: publicUrl(variantKey(key, v.name, 'webp')),
+      jpeg: publicUrl(variantKey(key, v.name, 'jpg')),
+    };
+  }
+  const srcset = (format) => IMAGE_VARIANTS.map((v) => `${sizes[v.name][format]} ${v.width}w`).join(', ');
+
+  return { sizes, srcset: { webp: srcset('webp'), jpeg: srcset('jpeg') } };
+}
+
+/**
+ * Schema-checked `images` ([{ url, alt?, isPrimary? }] or plain URL strings) -> gallery rows.
+ * Array order becomes `position`; the first image is primary unless one is flagged.
+ * Returns { images, primaryUrl } or { error } when more than one is flagged.
+ */
+function normalizeImages(images) {
+  const out = images.map((img) => (typeof img === 'string'
+    ? { url: img.trim(), alt: null, isPrimary: false }
+    : { url: img.url.trim(), alt: img.alt == null ? null : img.alt, isPrimary: img.isPrimary === true }));
+
+  const flagged = out.filter((img) => img.isPrimary).length;
+  if (flagged > 1) return { error: 'only one image can have "isPrimary": true' };
+  if (!flagged && out.length) out[0].isPrimary = true;
+
+  const primary = out.find((img) => img.isPrimary);
+  return { images: out, primaryUrl: primary ? primary.url : null };
+}
+
+// Repository record -> API shape: srcset variants next to the primary image and each gallery image
+function presentShoe(record) {
+  const { inventory, images, ...fields } = record;
+  const shoe = { ...fields };
+  if ('image' in shoe) shoe.imageVariants = variantsFor(shoe.image);
+  if (inventory) shoe.inventory = inventory;
+  if (images) shoe.images = images.map((img) => ({ ...img, variants: variantsFor(img.url) }));
+  return shoe;
+}
+
+module.exports = {
+  REGION,
+  IMAGES_BUCKET,
+  IMAGES_PREFIX,
+  IMAGE_PUBLIC_BASE,
+  IMAGE_VARIANTS_PREFIX,
+  IMAGE_VARIANTS,
+  VARIANT_FORMATS,
+  SOURCE_EXTENSIONS,
+  safeDecode,
+  publicUrl,
+  keyFromImageUrl,
+  isVariantSource,
+  variantKey,
+  variantsFor,
+  normalizeImages,
+  presentShoe,
+};
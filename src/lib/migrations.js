@@ -0,0 +1,200 @@
+// src/lib/migrations.js
+'use strict';
+
+/**
+ * Versioned schema migrations, shared by the CLI (bin/migrate.js) and the admin Lambda (handlers/migrate.js).
+ *
+ * Files live in src/migrations as NNNN_description.js and export { up(conn), down(conn) }.
+ * Applied versions are recorded in schema_migrations with a SHA-256 of the file, so an edited
+ * migration is reported instead of silently diverging from what ran in production.
+ * MySQL commits DDL implicitly, so each migration is applied on its own and recorded right after
+ * it succeeds; a GET_LOCK keeps two runners (e.g. CLI and Lambda) from interleaving.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d{4,})_([a-z0-9_]+)\.js$/;
+const LOCK_NAME = 'sneaker_store_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 10;
+
+/* -------------------- Migration files -------------------- */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const fullPath = path.join(dir, file);
+      const mod = require(fullPath);
+      if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+        throw new Error(`Migration ${file} must export up(conn) and down(conn).`);
+      }
+      return {
+        version: match[1],
+        name: match[2],
+        checksum: crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex'),
+        up: mod.up,
+        down: mod.down,
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}.`);
+    }
+  }
+  return migrations;
+}
+
+/* -------------------- schema_migrations table -------------------- */
+async function ensureMigrationsTable(conn) {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (version)
+    )
+  `);
+}
+
+async function appliedVersions(conn) {
+  const [rows] = await conn.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  return new Map(rows.map((row) => [Number(row.version), row]));
+}
+
+async function withLock(conn, fn) {
+  const [[{ acquired }]] = await conn.query('SELECT GET_LOCK(?, ?) AS acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+  if (Number(acquired) !== 1) {
+    throw new Error('Another migration run holds the schema lock; try again once it finishes.');
+  }
+  try {
+    return await fn();
+  } finally {
+    await conn.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]).catch(() => {});
+  }
+}
+
+/* -------------------- Commands -------------------- */
+// Every known and applied version with its state: applied | pending | changed | missing
+async function status(conn, migrations = loadMigrations()) {
+  await ensureMigrationsTable(conn);
+  const applied = await appliedVersions(conn);
+
+  const rows = migrations.map((m) => {
+    const row = applied.get(Number(m.version));
+    let state = 'pending';
+    if (row) state = row.checksum === m.checksum ? 'applied' : 'changed';
+    return { version: m.version, name: m.name, state, appliedAt: row ? row.applied_at : null };
+  });
+  // Applied in the database but no longer on disk (e.g. rolled-back deploy)
+  for (const [version, row] of applied) {
+    if (!migrations.some((m) => Number(m.version) === version)) {
+      rows.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+    }
+  }
+  return rows.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+function assertConsistent(rows) {
+  const changed = rows.filter((r) => r.state === 'changed').map((r) => `${r.version}_${r.name}`);
+  if (changed.length) {
+    throw new Error(`Applied migration(s) were edited after running: ${changed.join(', ')}. Add a new migration instead.`);
+  }
+}
+
+/**
+ * Apply pending migrations in version order, up to and including `to` (default: all).
+ * Refuses to run while an applied migration's checksum differs from its file.
+ * Returns the versions applied.
+ */
+async function migrateUp(conn, { to = null, migrations = loadMigrations() } = {}) {
+  return withLock(conn, async () => {
+    const rows = await status(conn, migrations);
+    assertConsistent(rows);
+
+    const pending = new Set(rows.filter((r) => r.state === 'pending').map((r) => r.version));
+    const done = [];
+    for (const m of migrations) {
+      if (to != null && Number(m.version) > Number(to)) break;
+      if (!pending.has(m.version)) continue;
+
+      console.log(`Applying migration ${m.version}_${m.name}…`);
+      await m.up(conn);
+      await conn.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [m.version, m.name, m.checksum]
+      );
+      done.push(m.version);
+    }
+    return done;
+  });
+}
+
+/**
+ * Roll back the most recent migrations: `steps` of them (default 1), or every one above `to`.
+ * Returns the versions rolled back, newest first.
+ */
+async function migrateDown(conn, { steps = 1, to = null, migrations = loadMigrations() } = {}) {
+  return withLock(conn, async () => {
+    const rows = await status(conn, migrations);
+    assertConsistent(rows);
+
+    const missing = rows.filter((r) => r.state === 'missing').map((r) => r.version);
+    if (missing.length) {
+      throw new Error(`Cannot roll back: no migration file for applied version(s) ${missing.join(', ')}.`);
+    }
+
+    const applied = migrations.filter((m) => rows.some((r) => r.version === m.version && r.state === 'applied')).reverse();
+    const targets = to != null
+      ? applied.filter((m) => Number(m.version) > Number(to))
+      : applied.slice(0, steps);
+
+    const done = [];
+    for (const m of targets) {
+      console.log(`Rolling back migration ${m.version}_${m.name}…`);
+      await m.down(conn);
+      await conn.query('DELETE FROM schema_migrations WHERE version = ?', [m.version]);
+      done.push(m.version);
+    }
+    return done;
+  });
+}
+
+/* -------------------- Schema inspection (for migrations adopting hand-made tables) -------------------- */
+async function indexExists(conn, table, indexName) {
+  const [rows] = await conn.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1`,
+    [table, indexName]
+  );
+  return rows.length > 0;
+}
+
+// Foreign keys from table.column to referencedTable, with their ON DELETE rule
+async function foreignKeysTo(conn, table, column, referencedTable) {
+  const [rows] = await conn.query(
+    `SELECT k.CONSTRAINT_NAME AS name, r.DELETE_RULE AS deleteRule
+       FROM information_schema.KEY_COLUMN_USAGE k
+       JOIN information_schema.REFERENTIAL_CONSTRAINTS r
+         ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+      WHERE k.TABLE_SCHEMA = DATABASE() AND k.TABLE_NAME = ? AND k.COLUMN_NAME = ?
+        AND k.REFERENCED_TABLE_NAME = ?`,
+    [table, column, referencedTable]
+  );
+  return rows;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  loadMigrations,
+  status,
+  migrateUp,
+  migrateDown,
+  indexExists,
+  foreignKeysTo,
+};
@@ -0,0 +1,63 @@
+// src/lib/projection.js
+'use strict';
+
+/**
+ * ?fields= / ?include= handling shared by every shoe read (GET /shoes, /shoes/search, /shoes/{id}).
+ * Produces the Projection the repositories take (see ./repositories/index.js).
+ */
+
+const crypto = require('crypto');
+
+// Shoe columns a client may pick with ?fields=
+const SHOE_FIELDS = ['id', 'name', 'brand', 'price', 'image', 'version'];
+const INCLUDES = ['inventory', 'images'];
+
+function csvParam(raw) {
+  return String(raw).split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+/**
+ * ?fields=name,price picks shoe columns (`always` are returned regardless);
+ * ?include=inventory,images adds sizes and/or the gallery. Without `fields`, both are
+ * included unless `include` is given, which keeps the default response complete.
+ * Returns { fields, withInventory, withImages } or { error } for a 400.
+ */
+function parseProjection(queryParams, { fields: allowed = SHOE_FIELDS, always = ['id'] } = {}) {
+  const hasFields = queryParams.fields != null && queryParams.fields !== '';
+  let fields = allowed;
+  if (hasFields) {
+    const requested = csvParam(queryParams.fields);
+    const unknown = requested.filter((f) => !allowed.includes(f));
+    if (unknown.length) {
+      return { error: `Unknown field(s): ${unknown.join(', ')}. Allowed: ${allowed.join(', ')}.` };
+    }
+    fields = allowed.filter((f) => always.includes(f) || requested.includes(f));
+  }
+
+  let withInventory = !hasFields;
+  let withImages = !hasFields;
+  if (queryParams.include != null) {
+    const includes = csvParam(queryParams.include);
+    const unknown = includes.filter((inc) => !INCLUDES.includes(inc));
+    if (unknown.length) return { error: `Unknown include(s): ${unknown.join(', ')}. Allowed: ${INCLUDES.join(', ')}.` };
+    withInventory = includes.includes('inventory');
+    withImages = includes.includes('images');
+  }
+
+  return { fields, withInventory, withImages };
+}
+
+/**
+ * Short tag naming a projection for versionEtag(): null for the complete record (what PUT/DELETE
+ * If-Match compares against), a hash of the columns and includes for any narrower one.
+ */
+function projectionTag({ fields, withInventory, withImages }) {
+  const complete = SHOE_FIELDS.every((f) => fields.includes(f)) && withInventory && withImages;
+  if (complete) return null;
+  return crypto.createHash('sha256')
+    .update(`${fields.join(',')};inventory=${withInventory};images=${withImages}`)
+    .digest('base64url')
+    .slice(0, 10);
+}
+
+module.exports = { SHOE_FIELDS, INCLUDES, parseProjection, projectionTag };
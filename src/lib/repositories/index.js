@@ -0,0 +1,88 @@
+// src/lib/repositories/index.js
+'use strict';
+
+/**
+ * Data access for the handlers. Two interchangeable backends:
+ *   DATA_BACKEND=mysql (default)  ./mysql.js, pooled connections from lib/db.js
+ *   DATA_BACKEND=memory           ./memory.js, in-process tables for offline tests and local runs
+ * Tests can also inject a seeded backend with setRepositories().
+ *
+ * @typedef {Object} Projection
+ * @property {string[]} fields          shoe columns to return (always includes id)
+ * @property {boolean} withInventory    add inventory: [{ size, quantity }] ordered by size
+ * @property {boolean} withImages       add images: [{ url, alt, isPrimary, position }] in gallery order
+ *
+ * @typedef {Object} ShoeFilters
+ * @property {string[]} [brands]
+ * @property {number} [minPrice]
+ * @property {number} [maxPrice]
+ * @property {number} [size]            only shoes with stock in this size
+ * @property {boolean} [inStock]        only shoes with stock in any size
+ *
+ * @typedef {Object} ShoeRepository
+ * @property {(opts: { filters: ShoeFilters, sort: string, after: ?{ v: *, id: number }, limit: number, projection: Projection }) => Promise<{ items: Object[], next: ?{ v: *, id: number } }>} list
+ *   keyset page in one of SORTS; `next` is where the following page starts
+ * @property {(opts: { terms: string[], filters: ShoeFilters, offset: number, limit: number, projection: Projection }) => Promise<{ items: Object[], hasMore: boolean }>} search
+ *   every term must prefix-match a word of the name or brand; best matches first
+ * @property {(opts: { filters: ShoeFilters, priceEdges: number[] }) => Promise<Object>} facets
+ * @property {(ids: number[], projection: Projection) => Promise<Object[]>} getByIds
+ * @property {(id: number|string, projection: Projection) => Promise<?Object>} getById
+ * @property {(id: number|string) => Promise<boolean>} exists
+ * @property {(id: number|string) => Promise<?number>} getVersion   locks the row inside transaction()
+ * @property {(records: Object[]) => Promise<number[]>} createMany
+ * @property {(id: number|string, fields: Object) => Promise<boolean>} update
+ *   also bumps `version`; called with {} to record inventory/gallery edits
+ * @property {(id: number|string) => Promise<boolean>} remove
+ *
+ * Plus gallery (getGallery, replaceGallery, setPrimaryImageUrl, clearPrimaryImage), brand (listBrands,
+ * brandExists, reassignBrands), suggestion (suggest) and image-reference (listImageReferences,
+ * findImageReferences, listGalleryRows, removeGalleryImages, markPrimaryImage) operations; see ./mysql.js.
+ *
+ * @typedef {Object} InventoryRepository
+ * @property {(shoeId, size) => Promise<?Object>} get          stored row { id, shoe_id, size, quantity }
+ * @property {(shoeId, size, quantity) => Promise<void>} set   absolute upsert
+ * @property {(shoeId, size, delta) => Promise<void>} adjust   relative change, never below 0
+ * @property {(shoeId, items) => Promise<void>} upsertMany     items: [{ size, quantity }]
+ * @property {(shoeId, sizes) => Promise<void>} removeSizes
+ *
+ * @typedef {Object} IdempotencyRecord
+ * @property {boolean} claimed          true: the caller owns the key and should run the request
+ * @property {string} [requestHash]     when not claimed: hash stored with the key
+ * @property {?Object} [response]       when not claimed: stored Lambda response, null while still running
+ *
+ * @typedef {Object} IdempotencyRepository
+ * @property {(opts: { scope: string, key: string, requestHash: string, lockSeconds: number, ttlSeconds: number }) => Promise<IdempotencyRecord>} claim
+ *   store a new key (dropping expired ones first), or report the record already holding it
+ * @property {(id: { scope: string, key: string }, response: Object) => Promise<void>} complete
+ * @property {(id: { scope: string, key: string }) => Promise<void>} release   forget an unfinished key
+ *
+ * Both backends also expose transaction(fn): fn({ shoes, inventory, idempotency }) runs atomically.
+ */
+
+const { SORTS } = require('./shared');
+
+const BACKENDS = {
+  // required lazily so the memory backend never loads mysql2
+  mysql: () => require('./mysql').createMysqlRepositories(),
+  memory: () => require('./memory').createMemoryRepositories(),
+};
+
+let repositories = null;
+
+function getRepositories() {
+  if (repositories) return repositories;
+
+  const backend = String(process.env.DATA_BACKEND || 'mysql').toLowerCase();
+  if (!BACKENDS[backend]) {
+    throw new Error(`Unknown DATA_BACKEND "${process.env.DATA_BACKEND}"; use one of: ${Object.keys(BACKENDS).join(', ')}.`);
+  }
+  repositories = BACKENDS[backend]();
+  return repositories;
+}
+
+// Swap the backend (e.g. a seeded createMemoryRepositories()); null goes back to DATA_BACKEND
+function setRepositories(repos) {
+  repositories = repos;
+}
+
+module.exports = { getRepositories, setRepositories, SORTS };
@@ -0,0 +1,489 @@
+// src/lib/repositories/memory.js
+'use strict';
+
+/**
+ * In-memory repositories with the same contract as ./mysql.js, for offline tests and local runs.
+ *
+ * Mirrors what MySQL does for this schema rather than what would be convenient in JS:
+ *   - values come back typed the way mysql2 returns them (DECIMAL price/size as strings)
+ *   - text comparisons are case-insensitive, like the default utf8mb4 collation
+ *   - deleting a shoe cascades to its inventory and gallery
+ *   - stock levels never go negative
+ * Search matches the same shoes as the FULLTEXT query; its relevance order is an approximation.
+ */
+
+const { SORTS, FT_MIN_TOKEN_SIZE, assertQuantity } = require('./shared');
+
+const collator = new Intl.Collator('en', { sensitivity: 'base' });
+const sameText = (a, b) => collator.compare(String(a), String(b)) === 0;
+
+// DECIMAL(10,2) / DECIMAL(3,1) as mysql2 returns them
+const toPrice = (value) => {
+  const n = Number(value);
+  if (!Number.isFinite(n)) throw new TypeError(`Incorrect decimal value: '${value}' for column 'price'`);
+  return n.toFixed(2);
+};
+const toSize = (value) => Number(value).toFixed(1);
+
+const words = (text) => String(text).toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+function emptyState() {
+  return { shoes: [], inventory: [], images: [], idempotency: [], nextId: { shoes: 1, inventory: 1, images: 1 } };
+}
+
+/**
+ * seed (optional): { shoes: [{ id?, name, brand, price, image, inventory?: [{ size, quantity }],
+ *   images?: [{ url, alt?, isPrimary? }] }] }
+ */
+function createMemoryRepositories(seed = {}) {
+  let state = emptyState();
+
+  /* -------------------- Table helpers -------------------- */
+  const findShoe = (id) => state.shoes.find((s) => s.id === Number(id)) || null;
+  const stockRows = (shoeId) => state.inventory.filter((r) => r.shoe_id === shoeId);
+  const galleryRows = (shoeId) => state.images
+    .filter((r) => r.shoe_id === shoeId)
+    .sort((a, b) => a.sort_order - b.sort_order || a.id - b.id);
+  const totalStock = (shoeId) => stockRows(shoeId).reduce((sum, r) => sum + r.quantity, 0);
+  const inStock = (shoeId, size) => stockRows(shoeId)
+    .some((r) => r.quantity > 0 && (size == null || Number(r.size) === Number(size)));
+
+  function insertShoe({ id, name, brand, price, image }) {
+    const shoeId = id != null ? Number(id) : state.nextId.shoes;
+    state.nextId.shoes = Math.max(state.nextId.shoes, shoeId + 1);
+    state.shoes.push({ id: shoeId, name, brand, price: toPrice(price), image: image == null ? '' : image, version: 1 });
+    return shoeId;
+  }
+
+  function upsertStock(shoeId, size, quantity) {
+    assertQuantity(quantity);
+    const row = stockRows(shoeId).find((r) => Number(r.size) === Number(size));
+    if (row) {
+      row.quantity = quantity;
+    } else {
+      state.inventory.push({ id: state.nextId.inventory++, shoe_id: shoeId, size: toSize(size), quantity });
+    }
+  }
+
+  function insertGallery(shoeId, images) {
+    images.forEach((img, idx) => {
+      state.images.push({
+        id: state.nextId.images++,
+        shoe_id: shoeId,
+        url: img.url,
+        alt_text: img.alt == null ? null : img.alt,
+        sort_order: idx,
+        is_primary: img.isPrimary ? 1 : 0,
+      });
+    });
+  }
+
+  function matchesFilters(shoe, filters = {}, except) {
+    const brands = filters.brands || [];
+    if (brands.length && except !== 'brand' && !brands.some((b) => sameText(b, shoe.brand))) return false;
+    if (filters.minPrice != null && except !== 'price' && Number(shoe.price) < filters.minPrice) return false;
+    if (filters.maxPrice != null && except !== 'price' && Number(shoe.price) > filters.maxPrice) return false;
+    if (filters.size != null && except !== 'size' && !inStock(shoe.id, filters.size)) return false;
+    if (filters.inStock && !inStock(shoe.id)) return false;
+    return true;
+  }
+
+  function sortValue(shoe, field) {
+    if (field === 'stock') return String(totalStock(shoe.id));
+    return shoe[field];
+  }
+
+  function compareValues(field, a, b) {
+    if (field === 'price' || field === 'stock') return Number(a) - Number(b);
+    return collator.compare(String(a), String(b));
+  }
+
+  // Same record shape the mysql backend returns: picked fields, then inventory / images when projected
+  function toRecord(shoe, projection) {
+    const record = {};
+    for (const field of projection.fields) record[field] = shoe[field];
+    if (projection.withInventory) {
+      record.inventory = stockRows(shoe.id)
+        .sort((a, b) => Number(a.size) - Number(b.size))
+        .map((r) => ({ size: parseFloat(r.size), quantity: r.quantity }));
+    }
+    if (projection.withImages) {
+      record.images = galleryRows(shoe.id).map((r) => ({
+        url: r.url,
+        alt: r.alt_text,
+        isPrimary: Boolean(r.is_primary),
+        position: r.sort_order,
+      }));
+    }
+    return record;
+  }
+
+  const toReference = (r) => ({
+    id: r.id,
+    shoe_id: r.shoe_id,
+    name: findShoe(r.shoe_id).name,
+    url: r.url,
+    isPrimary: Boolean(r.is_primary),
+  });
+
+  /** @type {import('./index').ShoeRepository} */
+  const shoes = {
+    async list({ filters, sort: sortName, after, limit, projection }) {
+      const { field, dir } = SORTS[sortName];
+      const sign = dir === 'DESC' ? -1 : 1;
+
+      let rows = state.shoes.filter((s) => matchesFilters(s, filters));
+      rows.sort((a, b) => (field
+        ? sign * compareValues(field, sortValue(a, field), sortValue(b, field)) || a.id - b.id
+        : sign * (a.id - b.id)));
+
+      if (after) {
+        rows = rows.filter((s) => {
+          if (!field) return sign * (s.id - after.id) > 0;
+          const cmp = sign * compareValues(field, sortValue(s, field), after.v);
+          return cmp > 0 || (cmp === 0 && s.id > after.id);
+        });
+      }
+
+      const hasMore = rows.length > limit;
+      const page = rows.slice(0, limit);
+      const last = page[page.length - 1];
+      return {
+        items: page.map((s) => toRecord(s, projection)),
+        next: hasMore ? { v: field ? sortValue(last, field) : undefined, id: last.id } : null,
+      };
+    },
+
+    async search({ terms, filters, offset, limit, projection }) {
+      const scored = [];
+      for (const shoe of state.shoes) {
+        if (!matchesFilters(shoe, filters)) continue;
+        const shoeWords = [...words(shoe.name), ...words(shoe.brand)];
+        // Terms too short for the FULLTEXT index go through LIKE '% term%' on MySQL
+        const spaced = ` ${shoe.name} ${shoe.brand}`.toLowerCase();
+        const hits = terms.map((t) => (t.length >= FT_MIN_TOKEN_SIZE
+          ? shoeWords.filter((w) => w.startsWith(t)).length
+          : Number(spaced.includes(` ${t}`))));
+        if (hits.every((n) => n > 0)) scored.push({ shoe, score: hits.reduce((a, b) => a + b, 0) });
+      }
+      scored.sort((a, b) => b.score - a.score || a.shoe.id - b.shoe.id);
+
+      const page = scored.slice(offset, offset + limit + 1);
+      return {
+        items: page.slice(0, limit).map(({ shoe }) => toRecord(shoe, projection)),
+        hasMore: page.length > limit,
+      };
+    },
+
+    async facets({ filters, priceEdges }) {
+      const brandCounts = [];
+      for (const shoe of state.shoes.filter((s) => matchesFilters(s, filters, 'brand'))) {
+        const entry = brandCounts.find((b) => sameText(b.value, shoe.brand));
+        if (entry) entry.count += 1;
+        else brandCounts.push({ value: shoe.brand, count: 1 });
+      }
+      brandCounts.sort((a, b) => b.count - a.count || collator.compare(a.value, b.value));
+
+      const sizeShoes = new Map();
+      for (const shoe of state.shoes.filter((s) => matchesFilters(s, filters, 'size'))) {
+        for (const row of stockRows(shoe.id)) {
+          if (row.quantity <= 0) continue;
+          const size = parseFloat(row.size);
+          if (!sizeShoes.has(size)) sizeShoes.set(size, new Set());
+          sizeShoes.get(size).add(shoe.id);
+        }
+      }
+
+      const buckets = priceEdges.map((max, idx) => ({ min: idx === 0 ? 0 : priceEdges[idx - 1], max }));
+      buckets.push({ min: priceEdges[priceEdges.length - 1], max: null });
+      const priced = state.shoes.filter((s) => matchesFilters(s, filters, 'price')).map((s) => Number(s.price));
+
+      return {
+        total: state.shoes.filter((s) => matchesFilters(s, filters)).length,
+        brands: brandCounts,
+        sizes: [...sizeShoes.entries()]
+          .sort(([a], [b]) => a - b)
+          .map(([value, ids]) => ({ value, count: ids.size })),
+        prices: buckets.map((b) => ({
+          min: b.min,
+          max: b.max,
+          count: priced.filter((p) => p >= b.min && (b.max == null || p < b.max)).length,
+        })),
+      };
+    },
+
+    async getByIds(ids, projection) {
+      return state.shoes
+        .filter((s) => ids.some((id) => Number(id) === s.id))
+        .sort((a, b) => a.id - b.id)
+        .map((s) => toRecord(s, projection));
+    },
+
+    async getById(id, projection) {
+      const shoe = findShoe(id);
+      return shoe ? toRecord(shoe, projection) : null;
+    },
+
+    async exists(id) {
+      return findShoe(id) != null;
+    },
+
+    async getVersion(id) {
+      const shoe = findShoe(id);
+      return shoe ? shoe.version : null;
+    },
+
+    // All-or-nothing, like the single INSERT transaction on MySQL
+    async createMany(records) {
+      return repos.transaction(async () => {
+        const ids = [];
+        for (const record of records) {
+          const id = insertShoe(record);
+          insertGallery(id, record.images || []);
+          for (const item of record.inventory || []) upsertStock(id, item.size, Number(item.quantity));
+          ids.push(id);
+        }
+        return ids;
+      });
+    },
+
+    async update(id, fields) {
+      const shoe = findShoe(id);
+      if (!shoe) return false;
+      if (fields.name !== undefined) shoe.name = fields.name;
+      if (fields.brand !== undefined) shoe.brand = fields.brand;
+      if (fields.price !== undefined) shoe.price = toPrice(fields.price);
+      if (fields.image !== undefined) shoe.image = fields.image;
+      shoe.version += 1;
+      return true;
+    },
+
+    async remove(id) {
+      const shoe = findShoe(id);
+      if (!shoe) return false;
+      state.shoes = state.shoes.filter((s) => s !== shoe);
+      state.inventory = state.inventory.filter((r) => r.shoe_id !== shoe.id);
+      state.images = state.images.filter((r) => r.shoe_id !== shoe.id);
+      return true;
+    },
+
+    /* ---------- Gallery ---------- */
+    async getGallery(shoeId) {
+      const shoe = findShoe(shoeId);
+      return shoe ? toRecord(shoe, { fields: [], withImages: true }).images : [];
+    },
+
+    async replaceGallery(shoeId, images) {
+      state.images = state.images.filter((r) => r.shoe_id !== Number(shoeId));
+      insertGallery(Number(shoeId), images);
+    },
+
+    async setPrimaryImageUrl(shoeId, url) {
+      for (const row of galleryRows(Number(shoeId))) {
+        if (row.is_primary) row.url = url;
+      }
+    },
+
+    async clearPrimaryImage(shoeId) {
+      for (const row of galleryRows(Number(shoeId))) row.is_primary = 0;
+    },
+
+    /* ---------- Brands ---------- */
+    async listBrands() {
+      const groups = [];
+      for (const shoe of state.shoes) {
+        let group = groups.find((g) => sameText(g.brand, shoe.brand));
+        if (!group) {
+          group = { brand: shoe.brand, productCount: 0, inStockCount: 0, minPrice: shoe.price, maxPrice: shoe.price };
+          groups.push(group);
+        }
+        group.productCount += 1;
+        if (inStock(shoe.id)) group.inStockCount += 1;
+        if (Number(shoe.price) < Number(group.minPrice)) group.minPrice = shoe.price;
+        if (Number(shoe.price) > Number(group.maxPrice)) group.maxPrice = shoe.price;
+      }
+      return groups.sort((a, b) => collator.compare(a.brand, b.brand));
+    },
+
+    async brandExists(brand) {
+      return state.shoes.some((s) => sameText(s.brand, brand));
+    },
+
+    async reassignBrands(sources, target) {
+      let moved = 0;
+      for (const shoe of state.shoes) {
+        if (sources.some((b) => sameText(b, shoe.brand))) {
+          shoe.brand = target;
+          shoe.version += 1;
+          moved += 1;
+        }
+      }
+      return moved;
+    },
+
+    /* ---------- Suggestions ---------- */
+    async suggest(prefix, limit) {
+      const p = prefix.toLowerCase();
+      const rank = (value) => {
+        const v = String(value).toLowerCase();
+        if (v.startsWith(p)) return 2;
+        return v.includes(` ${p}`) ? 1 : 0;
+      };
+
+      const distinct = (column) => {
+        const out = [];
+        for (const shoe of state.shoes) {
+          if (!rank(shoe[column])) continue;
+          const entry = out.find((e) => sameText(e.value, shoe[column]));
+          if (entry) entry.count += 1;
+          else out.push({ value: shoe[column], count: 1 });
+        }
+        return out;
+      };
+
+      return {
+        names: distinct('name')
+          .sort((a, b) => rank(b.value) - rank(a.value) || collator.compare(a.value, b.value))
+          .slice(0, limit)
+          .map((e) => e.value),
+        brands: distinct('brand')
+          .sort((a, b) => rank(b.value) - rank(a.value) || b.count - a.count || collator.compare(a.value, b.value))
+          .slice(0, limit)
+          .map((e) => e.value),
+      };
+    },
+
+    /* ---------- Image references ---------- */
+    async listImageReferences() {
+      return {
+        shoes: [...state.shoes].sort((a, b) => a.id - b.id).map(({ id, name, image }) => ({ id, name, image })),
+        gallery: [...state.images]
+          .sort((a, b) => a.shoe_id - b.shoe_id || a.sort_order - b.sort_order || a.id - b.id)
+          .map(toReference),
+      };
+    },
+
+    async findImageReferences(suffixes) {
+      const endsWith = (value) => suffixes.some((k) => String(value || '').toLowerCase().endsWith(k.toLowerCase()));
+      return {
+        shoes: state.shoes.filter((s) => endsWith(s.image)).map(({ id, name, image }) => ({ id, name, image })),
+        gallery: state.images.filter((r) => endsWith(r.url)).map(toReference),
+      };
+    },
+
+    async listGalleryRows(shoeIds) {
+      return [...state.images]
+        .filter((r) => shoeIds.includes(r.shoe_id))
+        .sort((a, b) => a.shoe_id - b.shoe_id || a.sort_order - b.sort_order || a.id - b.id)
+        .map(({ id, shoe_id, url, is_primary }) => ({ id, shoe_id, url, isPrimary: Boolean(is_primary) }));
+    },
+
+    async removeGalleryImages(imageIds) {
+      state.images = state.images.filter((r) => !imageIds.includes(r.id));
+    },
+
+    async markPrimaryImage(imageId) {
+      const row = state.images.find((r) => r.id === imageId);
+      if (row) row.is_primary = 1;
+    },
+  };
+
+  /** @type {import('./index').InventoryRepository} */
+  const inventory = {
+    async get(shoeId, size) {
+      const row = stockRows(Number(shoeId)).find((r) => Number(r.size) === Number(size));
+      return row ? { ...row } : null;
+    },
+
+    async set(shoeId, size, quantity) {
+      upsertStock(Number(shoeId), size, Number(quantity));
+    },
+
+    async adjust(shoeId, size, delta) {
+      const row = stockRows(Number(shoeId)).find((r) => Number(r.size) === Number(size));
+      if (delta > 0) {
+        upsertStock(Number(shoeId), size, (row ? row.quantity : 0) + delta);
+      } else if (delta < 0 && row) {
+        row.quantity = Math.max(0, row.quantity + delta);
+      }
+    },
+
+    async upsertMany(shoeId, items) {
+      for (const item of items) assertQuantity(Number(item.quantity));
+      for (const item of items) upsertStock(Number(shoeId), item.size, Number(item.quantity));
+    },
+
+    async removeSizes(shoeId, sizes) {
+      state.inventory = state.inventory.filter(
+        (r) => r.shoe_id !== Number(shoeId) || !sizes.some((size) => Number(r.size) === Number(size))
+      );
+    },
+  };
+
+  /** @type {import('./index').IdempotencyRepository} */
+  const idempotency = {
+    async claim({ scope, key, requestHash, lockSeconds, ttlSeconds }) {
+      const now = Date.now();
+      state.idempotency = state.idempotency.filter((r) => r.expires_at >= now);
+
+      const row = state.idempotency.find((r) => r.scope === scope && r.idem_key === key);
+      if (!row) {
+        state.idempotency.push({
+          scope,
+          idem_key: key,
+          request_hash: requestHash,
+          response: null,
+          locked_until: now + lockSeconds * 1000,
+          expires_at: now + ttlSeconds * 1000,
+        });
+        return { claimed: true };
+      }
+      if (row.request_hash === requestHash && row.response == null && row.locked_until < now) {
+        row.locked_until = now + lockSeconds * 1000;
+        return { claimed: true };
+      }
+      return { claimed: false, requestHash: row.request_hash, response: row.response && JSON.parse(row.response) };
+    },
+
+    async complete({ scope, key }, response) {
+      const row = state.idempotency.find((r) => r.scope === scope && r.idem_key === key);
+      if (row) row.response = JSON.stringify(response);
+    },
+
+    async release({ scope, key }) {
+      state.idempotency = state.idempotency.filter((r) => r.scope !== scope || r.idem_key !== key || r.response != null);
+    },
+  };
+
+  const repos = {
+    shoes,
+    inventory,
+    idempotency,
+    // Snapshot the tables and put them back if fn throws, like a ROLLBACK
+    async transaction(fn) {
+      const snapshot = structuredClone(state);
+      try {
+        return await fn(repos);
+      } catch (err) {
+        state = snapshot;
+        throw err;
+      }
+    },
+    // Test helper: a deep copy of the current tables
+    dump() {
+      return structuredClone(state);
+    },
+  };
+
+  // Seed through the same paths the handlers use
+  for (const shoe of seed.shoes || []) {
+    const images = (shoe.images || []).map((img, idx) => (typeof img === 'string' ? { url: img, isPrimary: idx === 0 } : img));
+    const id = insertShoe(shoe);
+    insertGallery(id, images);
+    for (const item of shoe.inventory || []) upsertStock(id, item.size, Number(item.quantity));
+  }
+
+  return repos;
+}
+
+module.exports = { createMemoryRepositories };
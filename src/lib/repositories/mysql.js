@@ -0,0 +1,705 @@
+// src/lib/repositories/mysql.js
+'use strict';
+
+const { withDb, withTransaction } = require('../db');
+const { SORTS, FT_MIN_TOKEN_SIZE, assertQuantity } = require('./shared');
+
+const BATCH_SIZE = 10;
+
+/* -------------------- SQL helpers -------------------- */
+const TOTAL_STOCK_SQL = '(SELECT COALESCE(SUM(ti.quantity), 0) FROM shoe_inventory ti WHERE ti.shoe_id = s.id)';
+
+// Sort field -> SQL expression over `shoes s`
+const SORT_SQL = {
+  price: 's.price',
+  name: 's.name',
+  brand: 's.brand',
+  stock: TOTAL_STOCK_SQL,
+};
+
+function whereSql(conditions) {
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+function placeholders(list) {
+  return list.map(() => '?').join(',');
+}
+
+// Escape LIKE wildcards so user text is matched literally
+function escapeLike(str) {
+  return str.replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+/**
+ * Listing filters as SQL conditions over `shoes s`.
+ * Every user value goes through a placeholder; only fixed SQL fragments are concatenated.
+ * `except` ('brand' | 'price' | 'size') leaves that filter out, for facet counts.
+ */
+function filterSql(filters = {}, except) {
+  const conditions = [];
+  const values = [];
+
+  const brands = filters.brands || [];
+  if (brands.length === 1 && except !== 'brand') {
+    conditions.push('s.brand = ?');
+    values.push(brands[0]);
+  } else if (brands.length > 1 && except !== 'brand') {
+    conditions.push(`s.brand IN (${placeholders(brands)})`);
+    values.push(...brands);
+  }
+
+  if (filters.minPrice != null && except !== 'price') {
+    conditions.push('s.price >= ?');
+    values.push(filters.minPrice);
+  }
+  if (filters.maxPrice != null && except !== 'price') {
+    conditions.push('s.price <= ?');
+    values.push(filters.maxPrice);
+  }
+
+  // Only shoes that can actually be bought in this size
+  if (filters.size != null && except !== 'size') {
+    conditions.push(
+      'EXISTS (SELECT 1 FROM shoe_inventory fi WHERE fi.shoe_id = s.id AND fi.size = ? AND fi.quantity > 0)'
+    );
+    values.push(filters.size);
+  }
+
+  if (filters.inStock) {
+    conditions.push('EXISTS (SELECT 1 FROM shoe_inventory si WHERE si.shoe_id = s.id AND si.quantity > 0)');
+  }
+
+  return { conditions, values };
+}
+
+// Keyset condition selecting rows strictly after `after` ({ v, id }) in the given sort order
+function cursorSql(sortKey, dir, after) {
+  const op = dir === 'DESC' ? '<' : '>';
+  if (!sortKey) {
+    return { sql: `s.id ${op} ?`, values: [after.id] };
+  }
+  return {
+    sql: `(${sortKey} ${op} ? OR (${sortKey} = ? AND s.id > ?))`,
+    values: [after.v, after.v, after.id],
+  };
+}
+
+// Select a page of shoes (derived table `p`) and join its inventory only when requested
+function projectPage(pageSql, projection, orderBy) {
+  const columns = projection.fields.map((f) => `p.${f}`).join(', ');
+  if (!projection.withInventory) {
+    return `
+    SELECT ${columns}, p.sort_key
+    FROM (${pageSql}) p
+    ORDER BY ${orderBy}
+  `;
+  }
+  return `
+    SELECT
+      ${columns}, p.sort_key,
+      i.size, i.quantity
+    FROM (${pageSql}) p
+    LEFT JOIN shoe_inventory i ON p.id = i.shoe_id
+    ORDER BY ${orderBy}, i.size
+  `;
+}
+
+/* -------------------- Row shaping -------------------- */
+// Group shoe rows (joined with inventory when projected) into
+// [{ ...fields, inventory: [{ size, quantity }] }], keeping row order
+function groupShoes(rows, projection) {
+  const shoesMap = new Map();
+
+  for (const row of rows) {
+    if (!shoesMap.has(row.id)) {
+      const shoe = {};
+      for (const field of projection.fields) shoe[field] = row[field];
+      if (projection.withInventory) shoe.inventory = [];
+      shoesMap.set(row.id, shoe);
+    }
+
+    if (projection.withInventory && row.size !== null && row.quantity !== null) {
+      shoesMap.get(row.id).inventory.push({
+        size: parseFloat(row.size),
+        quantity: row.quantity
+      });
+    }
+  }
+
+  return Array.from(shoesMap.values());
+}
+
+function toGalleryImage(row) {
+  return {
+    url: row.url,
+    alt: row.alt_text,
+    isPrimary: Boolean(row.is_primary),
+    position: row.sort_order,
+  };
+}
+
+// One query for the whole page; kept out of the inventory join so rows don't multiply
+async function attachImages(conn, shoes, projection) {
+  if (!projection.withImages || !shoes.length) return shoes;
+
+  const ids = shoes.map((shoe) => shoe.id);
+  const [rows] = await conn.query(
+    `SELECT shoe_id, url, alt_text, sort_order, is_primary
+     FROM shoe_images
+     WHERE shoe_id IN (${placeholders(ids)})
+     ORDER BY shoe_id, sort_order, id`,
+    ids
+  );
+
+  const byShoe = new Map(shoes.map((shoe) => [shoe.id, []]));
+  for (const row of rows) {
+    if (byShoe.has(row.shoe_id)) byShoe.get(row.shoe_id).push(toGalleryImage(row));
+  }
+  for (const shoe of shoes) shoe.images = byShoe.get(shoe.id);
+  return shoes;
+}
+
+// [shoe_id, url, alt_text, sort_order, is_primary]; array order becomes the gallery position
+function toGalleryRows(shoeId, images) {
+  return images.map((img, idx) => [Number(shoeId), img.url, img.alt, idx, img.isPrimary ? 1 : 0]);
+}
+
+async function insertGalleryRows(conn, rows) {
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await conn.query(
+      'INSERT INTO shoe_images (shoe_id, url, alt_text, sort_order, is_primary) VALUES ?',
+      [rows.slice(i, i + BATCH_SIZE)]
+    );
+  }
+}
+
+// Absolute upsert: sizes not listed are left alone
+async function upsertInventoryRows(conn, rows) {
+  for (const [, , quantity] of rows) assertQuantity(quantity);
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    await conn.query(
+      'INSERT INTO shoe_inventory (shoe_id, size, quantity) VALUES ? ' +
+      'ON DUPLICATE KEY UPDATE quantity = VALUES(quantity)',
+      [rows.slice(i, i + BATCH_SIZE)]
+    );
+  }
+}
+
+/* -------------------- Repositories -------------------- */
+/**
+ * mysql2-backed repositories. Without `conn`, every call borrows a pooled connection
+ * (withDb); inside transaction() they are rebound to the transaction's connection.
+ */
+function createMysqlRepositories(conn = null) {
+  const run = (fn) => (conn ? fn(conn) : withDb(fn));
+  const atomic = (fn) => (conn ? fn(conn) : withTransaction(fn));
+
+  /** @type {import('./index').ShoeRepository} */
+  const shoes = {
+    async list({ filters, sort: sortName, after, limit, projection }) {
+      const sort = SORTS[sortName];
+      const sortKey = sort.field ? SORT_SQL[sort.field] : null;
+      const { conditions, values } = filterSql(filters);
+
+      if (after) {
+        const condition = cursorSql(sortKey, sort.dir, after);
+        conditions.push(condition.sql);
+        values.push(...condition.values);
+      }
+
+      const innerOrder = sortKey ? `${sortKey} ${sort.dir}, s.id ASC` : `s.id ${sort.dir}`;
+      const outerOrder = sortKey ? `p.sort_key ${sort.dir}, p.id ASC` : `p.id ${sort.dir}`;
+
+      // Page over shoes first (one extra row tells us whether another page exists),
+      // then join inventory so a shoe's sizes are never split across pages.
+      const query = projectPage(`
+      SELECT s.id, s.name, s.brand, s.price, s.image, s.version, ${sortKey || 's.id'} AS sort_key
+      FROM shoes s
+      ${whereSql(conditions)}
+      ORDER BY ${innerOrder}
+      LIMIT ?
+    `, projection, outerOrder);
+      values.push(limit + 1);
+
+      console.log('Executing query:', query, 'with values:', values);
+      return run(async (c) => {
+        const [rows] = await c.query(query, values);
+        const found = groupShoes(rows, projection);
+        const hasMore = found.length > limit;
+        const items = await attachImages(c, hasMore ? found.slice(0, limit) : found, projection);
+
+        let next = null;
+        if (hasMore) {
+          const last = items[items.length - 1];
+          next = { v: sortKey ? rows.find((r) => r.id === last.id).sort_key : undefined, id: Number(last.id) };
+        }
+        return { items, next };
+      });
+    },
+
+    // Relevance-ranked over name + brand (requires the FULLTEXT index); paged by offset
+    async search({ terms, filters, offset, limit, projection }) {
+      // Every word is required and matched as a prefix, so "air zo" finds "Air Zoom".
+      // Words the index skips ("90" in "Air Max 90") are matched with LIKE; see FT_MIN_TOKEN_SIZE.
+      const indexed = terms.filter((t) => t.length >= FT_MIN_TOKEN_SIZE);
+      const short = terms.filter((t) => t.length < FT_MIN_TOKEN_SIZE);
+      const booleanQuery = indexed.map((t) => `+${t}*`).join(' ');
+
+      const { conditions, values } = filterSql(filters);
+      for (const t of short) {
+        conditions.unshift("CONCAT(' ', s.name, ' ', s.brand) LIKE ?");
+        values.unshift(`% ${escapeLike(t)}%`);
+      }
+      if (indexed.length) {
+        conditions.unshift('MATCH(s.name, s.brand) AGAINST (? IN BOOLEAN MODE)');
+        values.unshift(booleanQuery);
+      }
+
+      // sort_key carries the relevance score (none when every term is too short for the index)
+      const relevance = indexed.length ? 'MATCH(s.name, s.brand) AGAINST (? IN BOOLEAN MODE)' : '0';
+      const query = projectPage(`
+      SELECT s.id, s.name, s.brand, s.price, s.image, s.version,
+        ${relevance} AS sort_key
+      FROM shoes s
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY sort_key DESC, s.id ASC
+      LIMIT ? OFFSET ?
+    `, projection, 'p.sort_key DESC, p.id ASC');
+      const params = [...(indexed.length ? [booleanQuery] : []), ...values, limit + 1, offset];
+
+      console.log('Executing search:', query, 'with values:', params);
+      return run(async (c) => {
+        const [rows] = await c.query(query, params);
+        const found = groupShoes(rows, projection);
+        const hasMore = found.length > limit;
+        return { items: await attachImages(c, hasMore ? found.slice(0, limit) : found, projection), hasMore };
+      });
+    },
+
+    // Each facet ignores its own filter so the UI can offer the other choices
+    async facets({ filters, priceEdges }) {
+      const all = filterSql(filters);
+      const exceptBrand = filterSql(filters, 'brand');
+      const exceptPrice = filterSql(filters, 'price');
+      const exceptSize = filterSql(filters, 'size');
+
+      // One SUM per bucket keeps the price facet to a single scan
+      const buckets = priceEdges.map((max, idx) => ({ min: idx === 0 ? 0 : priceEdges[idx - 1], max }));
+      buckets.push({ min: priceEdges[priceEdges.length - 1], max: null });
+      const bucketSql = buckets.map((b, idx) =>
+        b.max == null
+          ? `COALESCE(SUM(s.price >= ?), 0) AS b${idx}`
+          : `COALESCE(SUM(s.price >= ? AND s.price < ?), 0) AS b${idx}`
+      );
+      const bucketValues = buckets.flatMap((b) => (b.max == null ? [b.min] : [b.min, b.max]));
+
+      return run(async (c) => {
+        const [[totalRow]] = await c.query(
+          `SELECT COUNT(*) AS total FROM shoes s ${whereSql(all.conditions)}`,
+          all.values
+        );
+
+        const [brandRows] = await c.query(
+          `SELECT s.brand, COUNT(*) AS count
+           FROM shoes s
+           ${whereSql(exceptBrand.conditions)}
+           GROUP BY s.brand
+           ORDER BY count DESC, s.brand`,
+          exceptBrand.values
+        );
+
+        const [sizeRows] = await c.query(
+          `SELECT i.size, COUNT(DISTINCT s.id) AS count
+           FROM shoes s
+           JOIN shoe_inventory i ON i.shoe_id = s.id AND i.quantity > 0
+           ${whereSql(exceptSize.conditions)}
+           GROUP BY i.size
+           ORDER BY i.size`,
+          exceptSize.values
+        );
+
+        const [[priceRow]] = await c.query(
+          `SELECT ${bucketSql.join(', ')} FROM shoes s ${whereSql(exceptPrice.conditions)}`,
+          [...bucketValues, ...exceptPrice.values]
+        );
+
+        return {
+          total: Number(totalRow.total),
+          brands: brandRows.map((r) => ({ value: r.brand, count: Number(r.count) })),
+          sizes: sizeRows.map((r) => ({ value: parseFloat(r.size), count: Number(r.count) })),
+          prices: buckets.map((b, idx) => ({ min: b.min, max: b.max, count: Number(priceRow[`b${idx}`]) })),
+        };
+      });
+    },
+
+    // Shoes among `ids`, in id order; missing ids are simply absent
+    async getByIds(ids, projection) {
+      if (!ids.length) return [];
+      const query = projectPage(`
+      SELECT s.id, s.name, s.brand, s.price, s.image, s.version, s.id AS sort_key
+      FROM shoes s
+      WHERE s.id IN (${placeholders(ids)})
+    `, projection, 'p.id');
+
+      console.log('Executing batch query:', query, 'with values:', ids);
+      return run(async (c) => {
+        const [rows] = await c.query(query, ids);
+        return attachImages(c, groupShoes(rows, projection), projection);
+      });
+    },
+
+    async getById(id, projection) {
+      const [shoe] = await shoes.getByIds([id], projection);
+      return shoe || null;
+    },
+
+    async exists(id) {
+      return run(async (c) => {
+        const [rows] = await c.query('SELECT id FROM shoes WHERE id = ?', [id]);
+        return rows.length > 0;
+      });
+    },
+
+    // Current version, or null when the shoe does not exist; inside transaction() the row stays locked until commit
+    async getVersion(id) {
+      return run(async (c) => {
+        const [rows] = await c.query('SELECT version FROM shoes WHERE id = ? FOR UPDATE', [id]);
+        return rows.length ? rows[0].version : null;
+      });
+    },
+
+    /**
+     * Insert shoes with their galleries and inventory, in batches.
+     * records: [{ name, brand, price, image, images: [{ url, alt, isPrimary }], inventory: [{ size, quantity }] }]
+     * Returns the new ids in input order.
+     */
+    async createMany(records) {
+      return atomic(async (c) => {
+        const ids = [];
+        for (let i = 0; i < records.length; i += BATCH_SIZE) {
+          const batch = records.slice(i, i + BATCH_SIZE);
+          const [result] = await c.query(
+            'INSERT INTO shoes (name, brand, price, image) VALUES ?',
+            [batch.map((r) => [r.name, r.brand, Number(r.price), r.image])]
+          );
+          // multi-row INSERT hands out consecutive AUTO_INCREMENT ids
+          const batchIds = batch.map((_, idx) => result.insertId + idx);
+          ids.push(...batchIds);
+
+          await insertGalleryRows(c, batch.flatMap((r, idx) => toGalleryRows(batchIds[idx], r.images || [])));
+          await upsertInventoryRows(c, batch.flatMap((r, idx) =>
+            (r.inventory || []).map((item) => [batchIds[idx], Number(item.size), Number(item.quantity)])
+          ));
+        }
+        return ids;
+      });
+    },
+
+    /**
+     * fields: any of { name, brand, price, image }; always bumps `version`, so callers also use it
+     * (with no fields) to record inventory or gallery edits. Resolves false when the shoe does not exist.
+     */
+    async update(id, fields) {
+      const sets = [];
+      const vals = [];
+      for (const column of ['name', 'brand', 'price', 'image']) {
+        if (fields[column] !== undefined) {
+          sets.push(`${column} = ?`);
+          vals.push(fields[column]);
+        }
+      }
+      sets.push('version = version + 1');
+
+      return run(async (c) => {
+        const [upd] = await c.query(`UPDATE shoes SET ${sets.join(', ')} WHERE id = ?`, [...vals, id]);
+        return upd.affectedRows > 0;
+      });
+    },
+
+    // Removes the shoe with its inventory and gallery; resolves false when it did not exist
+    async remove(id) {
+      return atomic(async (c) => {
+        await c.query('DELETE FROM shoe_inventory WHERE shoe_id = ?', [id]);
+        await c.query('DELETE FROM shoe_images WHERE shoe_id = ?', [id]);
+        const [del] = await c.query('DELETE FROM shoes WHERE id = ?', [id]);
+        return del.affectedRows > 0;
+      });
+    },
+
+    /* ---------- Gallery ---------- */
+    async getGallery(shoeId) {
+      return run(async (c) => {
+        const [rows] = await c.query(
+          'SELECT url, alt_text, sort_order, is_primary FROM shoe_images WHERE shoe_id = ? ORDER BY sort_order, id',
+          [shoeId]
+        );
+        return rows.map(toGalleryImage);
+      });
+    },
+
+    async replaceGallery(shoeId, images) {
+      return run(async (c) => {
+        await c.query('DELETE FROM shoe_images WHERE shoe_id = ?', [Number(shoeId)]);
+        await insertGalleryRows(c, toGalleryRows(shoeId, images));
+      });
+    },
+
+    // Legacy single-image update: keep the gallery's primary in step with shoes.image
+    async setPrimaryImageUrl(shoeId, url) {
+      return run((c) => c.query('UPDATE shoe_images SET url = ? WHERE shoe_id = ? AND is_primary = 1', [url, Number(shoeId)]));
+    },
+
+    // The gallery keeps its images but none is primary (the shoe's image was cleared)
+    async clearPrimaryImage(shoeId) {
+      return run((c) => c.query('UPDATE shoe_images SET is_primary = 0 WHERE shoe_id = ?', [Number(shoeId)]));
+    },
+
+    /* ---------- Brands ---------- */
+    async listBrands() {
+      return run(async (c) => {
+        const [rows] = await c.query(`
+          SELECT
+            s.brand,
+            COUNT(*) AS productCount,
+            SUM(EXISTS (SELECT 1 FROM shoe_inventory i WHERE i.shoe_id = s.id AND i.quantity > 0)) AS inStockCount,
+            MIN(s.price) AS minPrice,
+            MAX(s.price) AS maxPrice
+          FROM shoes s
+          GROUP BY s.brand
+          ORDER BY s.brand
+        `);
+        return rows;
+      });
+    },
+
+    // Locking read: inside transaction() a concurrent rename onto the same brand waits until this one commits
+    async brandExists(brand) {
+      return run(async (c) => {
+        const [rows] = await c.query('SELECT 1 FROM shoes WHERE brand = ? LIMIT 1 FOR UPDATE', [brand]);
+        return rows.length > 0;
+      });
+    },
+
+    // Move every shoe from `sources` to `target`; resolves the number of shoes moved
+    async reassignBrands(sources, target) {
+      return atomic(async (c) => {
+        const [upd] = await c.query(
+          `UPDATE shoes SET brand = ?, version = version + 1 WHERE brand IN (${placeholders(sources)})`,
+          [target, ...sources]
+        );
+        return upd.affectedRows;
+      });
+    },
+
+    /* ---------- Suggestions ---------- */
+    // Names/brands that start with the prefix rank ahead of those with a later word starting with it
+    async suggest(prefix, limit) {
+      const starts = `${escapeLike(prefix)}%`;
+      const wordStarts = `% ${escapeLike(prefix)}%`;
+
+      return run(async (c) => {
+        const [nameRows] = await c.query(
+          `SELECT name
+           FROM shoes
+           WHERE name LIKE ? OR name LIKE ?
+           GROUP BY name
+           ORDER BY MAX(name LIKE ?) DESC, name
+           LIMIT ?`,
+          [starts, wordStarts, starts, limit]
+        );
+
+        const [brandRows] = await c.query(
+          `SELECT brand
+           FROM shoes
+           WHERE brand LIKE ? OR brand LIKE ?
+           GROUP BY brand
+           ORDER BY MAX(brand LIKE ?) DESC, COUNT(*) DESC, brand
+           LIMIT ?`,
+          [starts, wordStarts, starts, limit]
+        );
+
+        return {
+          names: nameRows.map((r) => r.name),
+          brands: brandRows.map((r) => r.brand),
+        };
+      });
+    },
+
+    /* ---------- Image references ---------- */
+    // Every image URL in use: { shoes: [{ id, name, image }], gallery: [{ id, shoe_id, name, url, isPrimary }] }
+    async listImageReferences() {
+      return run(async (c) => {
+        const [shoeRows] = await c.query('SELECT id, name, image FROM shoes ORDER BY id');
+        const [galleryRows] = await c.query(
+          `SELECT gi.id, gi.shoe_id, s.name, gi.url, gi.is_primary
+           FROM shoe_images gi JOIN shoes s ON s.id = gi.shoe_id
+           ORDER BY gi.shoe_id, gi.sort_order, gi.id`
+        );
+        return {
+          shoes: shoeRows,
+          gallery: galleryRows.map((r) => ({ id: r.id, shoe_id: r.shoe_id, name: r.name, url: r.url, isPrimary: Boolean(r.is_primary) })),
+        };
+      });
+    },
+
+    /**
+     * Same shape as listImageReferences, limited to URLs ending in one of `suffixes`
+     * (a cheap LIKE pre-filter; callers make the exact match). Rows are locked
+     * FOR UPDATE when called inside transaction().
+     */
+    async findImageReferences(suffixes) {
+      const patterns = suffixes.map((k) => `%${escapeLike(k)}`);
+      return run(async (c) => {
+        const [shoeRows] = await c.query(
+          `SELECT id, name, image FROM shoes WHERE ${patterns.map(() => 'image LIKE ?').join(' OR ')} FOR UPDATE`,
+          patterns
+        );
+        const [galleryRows] = await c.query(
+          `SELECT gi.id, gi.shoe_id, s.name, gi.url, gi.is_primary
+           FROM shoe_images gi JOIN shoes s ON s.id = gi.shoe_id
+           WHERE ${patterns.map(() => 'gi.url LIKE ?').join(' OR ')}
+           FOR UPDATE`,
+          patterns
+        );
+        return {
+          shoes: shoeRows,
+          gallery: galleryRows.map((r) => ({ id: r.id, shoe_id: r.shoe_id, name: r.name, url: r.url, isPrimary: Boolean(r.is_primary) })),
+        };
+      });
+    },
+
+    // Gallery rows (with their ids) for several shoes, in gallery order
+    async listGalleryRows(shoeIds) {
+      if (!shoeIds.length) return [];
+      return run(async (c) => {
+        const [rows] = await c.query(
+          `SELECT id, shoe_id, url, is_primary FROM shoe_images WHERE shoe_id IN (${placeholders(shoeIds)}) ORDER BY shoe_id, sort_order, id`,
+          shoeIds
+        );
+        return rows.map((r) => ({ id: r.id, shoe_id: r.shoe_id, url: r.url, isPrimary: Boolean(r.is_primary) }));
+      });
+    },
+
+    async removeGalleryImages(imageIds) {
+      if (!imageIds.length) return;
+      return run((c) => c.query(`DELETE FROM shoe_images WHERE id IN (${placeholders(imageIds)})`, imageIds));
+    },
+
+    async markPrimaryImage(imageId) {
+      return run((c) => c.query('UPDATE shoe_images SET is_primary = 1 WHERE id = ?', [imageId]));
+    },
+  };
+
+  /** @type {import('./index').InventoryRepository} */
+  const inventory = {
+    // The stored row ({ id, shoe_id, size, quantity }) or null
+    async get(shoeId, size) {
+      return run(async (c) => {
+        const [rows] = await c.query(
+          'SELECT id, shoe_id, size, quantity FROM shoe_inventory WHERE shoe_id = ? AND size = ?',
+          [Number(shoeId), size]
+        );
+        return rows[0] || null;
+      });
+    },
+
+    async set(shoeId, size, quantity) {
+      return inventory.upsertMany(shoeId, [{ size, quantity }]);
+    },
+
+    // Positive delta creates the row if needed; negative delta never goes below 0 and never creates one
+    async adjust(shoeId, size, delta) {
+      return run(async (c) => {
+        if (delta > 0) {
+          await c.query(
+            'INSERT INTO shoe_inventory (shoe_id, size, quantity) VALUES (?, ?, ?) ' +
+            'ON DUPLICATE KEY UPDATE quantity = quantity + VALUES(quantity)',
+            [Number(shoeId), size, delta]
+          );
+        } else if (delta < 0) {
+          await c.query(
+            'UPDATE shoe_inventory SET quantity = GREATEST(0, quantity + ?) WHERE shoe_id = ? AND size = ?',
+            [delta, Number(shoeId), size]
+          );
+        }
+      });
+    },
+
+    // items: [{ size, quantity }]; sizes not listed are left alone
+    async upsertMany(shoeId, items) {
+      return run((c) => upsertInventoryRows(c, items.map((item) => [Number(shoeId), Number(item.size), Number(item.quantity)])));
+    },
+
+    async removeSizes(shoeId, sizes) {
+      if (!sizes.length) return;
+      return run((c) => c.query(
+        `DELETE FROM shoe_inventory WHERE shoe_id = ? AND size IN (${placeholders(sizes)})`,
+        [Number(shoeId), ...sizes]
+      ));
+    },
+  };
+
+  /** @type {import('./index').IdempotencyRepository} */
+  const idempotency = {
+    async claim({ scope, key, requestHash, lockSeconds, ttlSeconds }) {
+      return run(async (c) => {
+        // Expired keys become reusable; clearing a batch per call keeps the table small
+        await c.query('DELETE FROM idempotency_keys WHERE expires_at < NOW() LIMIT 100');
+        try {
+          await c.query(
+            `INSERT INTO idempotency_keys (scope, idem_key, request_hash, locked_until, expires_at)
+             VALUES (?, ?, ?, NOW() + INTERVAL ? SECOND, NOW() + INTERVAL ? SECOND)`,
+            [scope, key, requestHash, lockSeconds, ttlSeconds]
+          );
+          return { claimed: true };
+        } catch (err) {
+          if (err.code !== 'ER_DUP_ENTRY') throw err;
+        }
+
+        // Unfinished past its lock: the first attempt died (e.g. Lambda timeout), so the same request may take over
+        const [takeover] = await c.query(
+          `UPDATE idempotency_keys SET locked_until = NOW() + INTERVAL ? SECOND
+           WHERE scope = ? AND idem_key = ? AND request_hash = ? AND response IS NULL AND locked_until < NOW()`,
+          [lockSeconds, scope, key, requestHash]
+        );
+        if (takeover.affectedRows) return { claimed: true };
+
+        const [rows] = await c.query(
+          'SELECT request_hash, response FROM idempotency_keys WHERE scope = ? AND idem_key = ?',
+          [scope, key]
+        );
+        const row = rows[0];
+        // Released in between: report it as in progress and let the client retry
+        if (!row) return { claimed: false, requestHash, response: null };
+        return { claimed: false, requestHash: row.request_hash, response: row.response ? JSON.parse(row.response) : null };
+      });
+    },
+
+    async complete({ scope, key }, response) {
+      return run((c) => c.query(
+        'UPDATE idempotency_keys SET response = ? WHERE scope = ? AND idem_key = ?',
+        [JSON.stringify(response), scope, key]
+      ));
+    },
+
+    async release({ scope, key }) {
+      return run((c) => c.query(
+        'DELETE FROM idempotency_keys WHERE scope = ? AND idem_key = ? AND response IS NULL',
+        [scope, key]
+      ));
+    },
+  };
+
+  const repos = {
+    shoes,
+    inventory,
+    idempotency,
+    // fn(repos) runs on one connection inside BEGIN … COMMIT; any throw rolls back
+    transaction(fn) {
+      return conn ? fn(repos) : withTransaction((c) => fn(createMysqlRepositories(c)));
+    },
+  };
+  return repos;
+}
+
+module.exports = { createMysqlRepositories };
@@ -0,0 +1,30 @@
+// src/lib/repositories/shared.js
+'use strict';
+
+// Listing sort orders. `field` is null when the shoe id itself is the sort key;
+// every order ends on id so rows with equal keys keep a fixed order across pages.
+const SORTS = {
+  default:    { field: null,    dir: 'ASC' },
+  price_asc:  { field: 'price', dir: 'ASC' },
+  price_desc: { field: 'price', dir: 'DESC' },
+  name:       { field: 'name',  dir: 'ASC' },
+  brand:      { field: 'brand', dir: 'ASC' },
+  newest:     { field: null,    dir: 'DESC' }, // ids are AUTO_INCREMENT
+  stock:      { field: 'stock', dir: 'DESC' }, // total quantity across sizes
+};
+
+/**
+ * InnoDB leaves words shorter than innodb_ft_min_token_size (3 by default, also on Aurora) out of the
+ * FULLTEXT index, so a required "+90*" would match nothing. Search terms shorter than this are matched
+ * as the start of a space-separated word in "name brand" instead. Keep in step with the server setting.
+ */
+const FT_MIN_TOKEN_SIZE = Number(process.env.FT_MIN_TOKEN_SIZE || 3);
+
+// Both backends refuse to store a negative stock level
+function assertQuantity(quantity) {
+  if (!Number.isFinite(quantity) || quantity < 0) {
+    throw new RangeError(`Inventory quantity must be a non-negative number (got ${quantity}).`);
+  }
+}
+
+module.exports = { SORTS, FT_MIN_TOKEN_SIZE, assertQuantity };
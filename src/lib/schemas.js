@@ -0,0 +1,151 @@
+// src/lib/schemas.js
+'use strict';
+
+/**
+ * Request body schemas for every write route, checked with lib/validation.js.
+ * Limits follow the column types created in src/migrations. Unknown properties are ignored,
+ * so a client can PUT back a record it read (with id, imageVariants, ...) unchanged.
+ */
+
+const { NON_BLANK } = require('./validation');
+
+const MAX_IMAGES_PER_SHOE = 20;
+
+const nullable = (schema) => ({ ...schema, type: [].concat(schema.type, 'null') });
+// Also accept the number as a decimal string ("129.99"), converted by lib/validation.js
+const numeric = (schema) => ({ ...schema, type: [].concat(schema.type, 'string'), numericString: schema });
+
+/* -------------------- Shoe fields -------------------- */
+const NAME = { type: 'string', maxLength: 255, pattern: NON_BLANK };
+const BRAND = { type: 'string', maxLength: 100, pattern: NON_BLANK };
+const PRICE = numeric({ type: 'number', exclusiveMinimum: 0, maximum: 99999999.99 }); // DECIMAL(10,2)
+const SIZE = numeric({ type: 'number', exclusiveMinimum: 0, maximum: 99.5, multipleOf: 0.5 }); // DECIMAL(3,1), half sizes
+const QUANTITY = numeric({ type: 'integer', minimum: 0, maximum: 2147483647 }); // INT
+const IMAGE_URL = { type: 'string', maxLength: 512, pattern: NON_BLANK };
+
+// Gallery entry: a plain URL or { url, alt?, isPrimary? }
+const GALLERY_IMAGE = {
+  if: { type: 'string' },
+  then: IMAGE_URL,
+  else: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: IMAGE_URL,
+      alt: nullable({ type: 'string', maxLength: 255 }),
+      isPrimary: { type: 'boolean' },
+    },
+  },
+};
+const GALLERY = { type: 'array', maxItems: MAX_IMAGES_PER_SHOE, items: GALLERY_IMAGE };
+
+/* -------------------- POST /shoes -------------------- */
+// One shoe; `size` is the single-item shorthand for inventory: [{ size, quantity: 1 }]
+const SHOE_CREATE = {
+  type: 'object',
+  required: ['name', 'brand', 'price'],
+  properties: {
+    name: NAME,
+    brand: BRAND,
+    price: PRICE,
+    image: nullable({ type: 'string', maxLength: 512 }),
+    images: GALLERY,
+    size: SIZE,
+    inventory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['size'],
+        properties: { size: SIZE, quantity: nullable(QUANTITY) }, // missing/null quantity means 1
+      },
+    },
+  },
+};
+
+// { shoes: [...] } batch seeding
+const SHOE_BATCH = {
+  type: 'object',
+  required: ['shoes'],
+  properties: {
+    shoes: { type: 'array', minItems: 1, items: SHOE_CREATE },
+  },
+};
+
+/* -------------------- PUT /shoes/{id} -------------------- */
+// Every field optional; null leaves it unchanged. Inventory quantity null (or delete: true) removes the size.
+const SHOE_UPDATE = {
+  type: 'object',
+  properties: {
+    name: nullable(NAME),
+    brand: nullable(BRAND),
+    price: nullable(PRICE),
+    image: nullable({ type: 'string', maxLength: 512 }),
+    images: GALLERY,
+    inventory: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['size'],
+        properties: { size: SIZE, quantity: nullable(QUANTITY), delete: { type: 'boolean' } },
+      },
+    },
+  },
+};
+
+/* -------------------- PATCH /shoes/{id}/inventory -------------------- */
+const INVENTORY_PATCH = {
+  type: 'object',
+  required: ['size'],
+  properties: {
+    size: SIZE,
+    quantity: nullable(QUANTITY),
+    delta: nullable(numeric({ type: 'integer', minimum: -2147483647, maximum: 2147483647 })),
+  },
+};
+
+/* -------------------- Brands -------------------- */
+const BRAND_RENAME = {
+  type: 'object',
+  required: ['name'],
+  properties: { name: BRAND },
+};
+
+const BRAND_MERGE = {
+  type: 'object',
+  required: ['into', 'from'],
+  properties: {
+    into: BRAND,
+    from: { type: 'array', minItems: 1, items: BRAND },
+  },
+};
+
+/* -------------------- Images -------------------- */
+const IMAGE_UPLOAD_URL = {
+  type: 'object',
+  required: ['contentType', 'size'],
+  properties: {
+    contentType: { type: 'string', minLength: 1, maxLength: 100 },
+    size: { type: 'integer', minimum: 1 },
+    filename: nullable({ type: 'string', maxLength: 255 }),
+  },
+};
+
+const IMAGE_CLEANUP = {
+  type: 'object',
+  properties: {
+    deleteOrphans: { type: 'boolean' },
+    minAgeMinutes: nullable({ type: 'number', minimum: 0 }),
+  },
+};
+
+module.exports = {
+  MAX_IMAGES_PER_SHOE,
+  SHOE_CREATE,
+  SHOE_BATCH,
+  SHOE_UPDATE,
+  INVENTORY_PATCH,
+  BRAND_RENAME,
+  BRAND_MERGE,
+  IMAGE_UPLOAD_URL,
+  IMAGE_CLEANUP,
+};
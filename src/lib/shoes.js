@@ -0,0 +1,32 @@
+// src/lib/shoes.js
+'use strict';
+
+/**
+ * If-Match handling for the routes that change a single shoe (PUT / DELETE /shoes/{id}).
+ * The version is the shoe's strong ETag; see versionEtag/matchesIfMatch in ./http.js.
+ */
+
+const { versionEtag } = require('./http');
+const { errorResp } = require('./errors');
+const { presentShoe } = require('./images');
+const { SHOE_FIELDS } = require('./projection');
+
+// What GET /shoes/{id} returns by default; sent back with a 412
+const FULL_SHOE = { fields: SHOE_FIELDS, withInventory: true, withImages: true };
+
+function preconditionRequired() {
+  return errorResp('PRECONDITION_REQUIRED', 'If-Match is required: send the ETag from GET /shoes/{id}.');
+}
+
+// 412 carrying the shoe as it is now, so the client can merge and retry with the new ETag
+async function staleShoe(shoes, shoeId, version) {
+  const current = await shoes.getById(shoeId, FULL_SHOE);
+  return errorResp(
+    'PRECONDITION_FAILED',
+    'Shoe was changed since it was loaded; retry with the current ETag.',
+    { current: presentShoe(current) },
+    { ETag: versionEtag(version) }
+  );
+}
+
+module.exports = { FULL_SHOE, preconditionRequired, staleShoe };
@@ -0,0 +1,107 @@
+// src/lib/validation.js
+'use strict';
+
+/**
+ * JSON Schema validation for request bodies (schemas live in ./schemas.js).
+ * Every failing field is reported at once as { field, message }, e.g.
+ *   { field: 'shoes[1].price', message: 'must be > 0' }
+ */
+
+const Ajv = require('ajv');
+const { parseJsonBody } = require('./http');
+const { errorResp } = require('./errors');
+
+// `pattern` for strings that must contain something other than whitespace
+const NON_BLANK = '\\S';
+
+// Plain decimal notation only: no exponents, hex, blanks or booleans
+const NUMERIC_STRING = /^-?\d+(\.\d+)?$/;
+
+// No coerceTypes: true must not become 1, nor 1 become "1". Numbers are opted in per field below.
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+/**
+ * `numericString: <number schema>` on a field typed ['number', 'string']: a string written as a
+ * decimal is converted in place and checked against the number schema. Reads return DECIMAL
+ * columns as strings ("129.99"), so this lets an edited record be sent back as it was read.
+ */
+ajv.addKeyword({
+  keyword: 'numericString',
+  type: 'string',
+  modifying: true,
+  errors: true,
+  metaSchema: { type: 'object' },
+  compile(numberSchema, parentSchema) {
+    const validateNumber = ajv.compile(numberSchema);
+    const validate = (data, { parentData, parentDataProperty }) => {
+      // any other string is a wrong type, reported like one
+      if (!NUMERIC_STRING.test(data)) {
+        validate.errors = [{ keyword: 'type', message: 'must be number', params: { type: parentSchema.type } }];
+        return false;
+      }
+      const value = Number(data);
+      if (!validateNumber(value)) {
+        validate.errors = validateNumber.errors.map(({ keyword, message, params }) => ({ keyword, message, params }));
+        return false;
+      }
+      parentData[parentDataProperty] = value;
+      return true;
+    };
+    return validate;
+  },
+});
+
+// Ajv instancePath ("/shoes/0/price") -> "shoes[0].price"
+function fieldPath(instancePath, property) {
+  const parts = instancePath.split('/').slice(1).map((p) => p.replace(/~1/g, '/').replace(/~0/g, '~'));
+  if (property != null) parts.push(property);
+  return parts.reduce((out, part) => (/^\d+$/.test(part) ? `${out}[${part}]` : out ? `${out}.${part}` : part), '') || '(body)';
+}
+
+function toFieldErrors(ajvErrors) {
+  const errors = [];
+  for (const err of ajvErrors || []) {
+    // if/then/else adds a summary error on top of the branch's own errors
+    if (err.keyword === 'if') continue;
+
+    let error = { field: fieldPath(err.instancePath), message: err.message };
+    if (err.keyword === 'required') {
+      error = { field: fieldPath(err.instancePath, err.params.missingProperty), message: 'is required' };
+    } else if (err.keyword === 'type') {
+      // numeric fields also take decimal strings; name the JSON type a client should send
+      const types = [].concat(err.params.type);
+      const numeric = types.includes('number') || types.includes('integer');
+      error.message = `must be ${types.filter((t) => !(numeric && t === 'string')).join(' or ')}`;
+    } else if (err.keyword === 'pattern' && err.params.pattern === NON_BLANK) {
+      error.message = 'must not be blank';
+    }
+    if (!errors.some((e) => e.field === error.field && e.message === error.message)) errors.push(error);
+  }
+  return errors;
+}
+
+/**
+ * Compile once at module load: returns (data) => { value } or { errors }.
+ * `numericString` converts in place, so `value` is the same object with numbers where decimal strings were sent.
+ */
+function compileSchema(schema) {
+  const validate = ajv.compile(schema);
+  return (data) => (validate(data) ? { value: data } : { errors: toFieldErrors(validate.errors) });
+}
+
+// 400 listing every field error; handlers also use it for rules a schema can't express
+function validationFailed(errors) {
+  return errorResp('VALIDATION_ERROR', 'Request validation failed.', { errors });
+}
+
+// Parse and validate the body: { body } to continue with, or { response } to return as-is
+function validateBody(event, validate) {
+  const body = parseJsonBody(event);
+  if (!body) return { response: errorResp('VALIDATION_ERROR', 'Invalid JSON body') };
+
+  const result = validate(body);
+  if (result.errors) return { response: validationFailed(result.errors) };
+  return { body: result.value };
+}
+
+module.exports = { NON_BLANK, compileSchema, validateBody, validationFailed };
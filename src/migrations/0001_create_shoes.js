@@ -0,0 +1,21 @@
+// src/migrations/0001_create_shoes.js
+'use strict';
+
+// IF NOT EXISTS so databases created by hand from the README can adopt migrations (see 0004)
+exports.up = async (conn) => {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS shoes (
+      id BIGINT NOT NULL AUTO_INCREMENT,
+      name VARCHAR(255) NOT NULL,
+      brand VARCHAR(100) NOT NULL,
+      price DECIMAL(10,2) NOT NULL,
+      image VARCHAR(512) NOT NULL DEFAULT '',
+      PRIMARY KEY (id),
+      FULLTEXT KEY ft_shoes_name_brand (name, brand)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (conn) => {
+  await conn.query('DROP TABLE IF EXISTS shoes');
+};
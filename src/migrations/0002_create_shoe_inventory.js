@@ -0,0 +1,20 @@
+// src/migrations/0002_create_shoe_inventory.js
+'use strict';
+
+exports.up = async (conn) => {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS shoe_inventory (
+      id BIGINT NOT NULL AUTO_INCREMENT,
+      shoe_id BIGINT NOT NULL,
+      size DECIMAL(3,1) NOT NULL,
+      quantity INT NOT NULL,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_shoe_inventory_shoe_size (shoe_id, size),
+      CONSTRAINT fk_shoe_inventory_shoe FOREIGN KEY (shoe_id) REFERENCES shoes (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (conn) => {
+  await conn.query('DROP TABLE IF EXISTS shoe_inventory');
+};
@@ -0,0 +1,22 @@
+// src/migrations/0003_create_shoe_images.js
+'use strict';
+
+exports.up = async (conn) => {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS shoe_images (
+      id BIGINT NOT NULL AUTO_INCREMENT,
+      shoe_id BIGINT NOT NULL,
+      url VARCHAR(512) NOT NULL,
+      alt_text VARCHAR(255) NULL,
+      sort_order INT NOT NULL DEFAULT 0,
+      is_primary TINYINT(1) NOT NULL DEFAULT 0,
+      PRIMARY KEY (id),
+      KEY idx_shoe_images_shoe_order (shoe_id, sort_order),
+      CONSTRAINT fk_shoe_images_shoe FOREIGN KEY (shoe_id) REFERENCES shoes (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (conn) => {
+  await conn.query('DROP TABLE IF EXISTS shoe_images');
+};
@@ -0,0 +1,39 @@
+// src/migrations/0004_adopt_existing_tables.js
+'use strict';
+
+/**
+ * Databases created by hand before migrations existed skipped 0001–0003 (CREATE TABLE IF NOT EXISTS),
+ * so they may lack the search index or the ON DELETE CASCADE foreign keys. Add whatever is missing;
+ * on a database built by 0001–0003 this changes nothing.
+ */
+
+const { indexExists, foreignKeysTo } = require('../lib/migrations');
+
+// Child tables that must disappear with their shoe
+const CHILDREN = [
+  { table: 'shoe_inventory', constraint: 'fk_shoe_inventory_shoe' },
+  { table: 'shoe_images', constraint: 'fk_shoe_images_shoe' },
+];
+
+exports.up = async (conn) => {
+  if (!(await indexExists(conn, 'shoes', 'ft_shoes_name_brand'))) {
+    await conn.query('ALTER TABLE shoes ADD FULLTEXT KEY ft_shoes_name_brand (name, brand)');
+  }
+
+  for (const { table, constraint } of CHILDREN) {
+    const keys = await foreignKeysTo(conn, table, 'shoe_id', 'shoes');
+    if (keys.some((k) => k.deleteRule === 'CASCADE')) continue;
+
+    for (const key of keys) {
+      await conn.query(`ALTER TABLE ${table} DROP FOREIGN KEY \`${key.name}\``);
+    }
+    // Rows left behind by deletes made without the cascade would block the constraint
+    await conn.query(`DELETE c FROM ${table} c LEFT JOIN shoes s ON s.id = c.shoe_id WHERE s.id IS NULL`);
+    await conn.query(
+      `ALTER TABLE ${table} ADD CONSTRAINT ${constraint} FOREIGN KEY (shoe_id) REFERENCES shoes (id) ON DELETE CASCADE`
+    );
+  }
+};
+
+// The index and keys are part of the schema 0001–0003 create, so there is nothing to undo here
+exports.down = async () => {};
@@ -0,0 +1,23 @@
+// src/migrations/0005_create_idempotency_keys.js
+'use strict';
+
+// Stored responses for Idempotency-Key retries (see lib/idempotency.js)
+exports.up = async (conn) => {
+  await conn.query(`
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+      scope VARCHAR(128) NOT NULL,
+      idem_key VARCHAR(255) NOT NULL,
+      request_hash CHAR(64) NOT NULL,
+      response MEDIUMTEXT NULL,
+      locked_until DATETIME NOT NULL,
+      expires_at DATETIME NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (scope, idem_key),
+      KEY idx_idempotency_keys_expires (expires_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+exports.down = async (conn) => {
+  await conn.query('DROP TABLE IF EXISTS idempotency_keys');
+};
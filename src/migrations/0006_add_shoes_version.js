@@ -0,0 +1,11 @@
+// src/migrations/0006_add_shoes_version.js
+'use strict';
+
+// Optimistic concurrency: bumped on every edit, exposed as the shoe's ETag (see updateShoes.js)
+exports.up = async (conn) => {
+  await conn.query('ALTER TABLE shoes ADD COLUMN version INT UNSIGNED NOT NULL DEFAULT 1 AFTER image');
+};
+
+exports.down = async (conn) => {
+  await conn.query('ALTER TABLE shoes DROP COLUMN version');
+};